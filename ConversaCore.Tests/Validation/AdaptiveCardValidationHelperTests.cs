@@ -0,0 +1,162 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json;
+using FluentAssertions;
+using Xunit;
+
+namespace ConversaCore.Tests.Validation;
+
+public class AdaptiveCardValidationHelperTests {
+    private const string CardJson = """
+        {
+          "type": "AdaptiveCard",
+          "version": "1.5",
+          "body": [
+            { "type": "Input.Text", "id": "name" },
+            { "type": "Input.ChoiceSet", "id": "colors", "isMultiSelect": true,
+              "choices": [ { "title": "Red", "value": "r" }, { "title": "Green", "value": "g" } ] },
+            { "type": "Input.TagSelect", "id": "tags", "isMultiSelect": true,
+              "choices": [ { "title": "A", "value": "a" }, { "title": "B", "value": "b" } ] }
+          ],
+          "actions": [ { "type": "Action.Submit", "title": "Submit" } ]
+        }
+        """;
+
+    private const string NestedCardJson = """
+        {
+          "type": "AdaptiveCard",
+          "version": "1.5",
+          "body": [
+            { "type": "Container", "items": [ { "type": "Input.Text", "id": "name" } ] },
+            { "type": "ColumnSet", "columns": [
+              { "type": "Column", "items": [ { "type": "Input.Date", "id": "dob" } ] },
+              { "type": "Column", "items": [ { "type": "Input.Toggle", "id": "consent", "title": "I agree" } ] }
+            ] }
+          ],
+          "actions": [ { "type": "Action.Submit", "title": "Submit" } ]
+        }
+        """;
+
+    // What OnCardSubmit receives for a card with _metadata.typedPayload: arrays arrive as JsonElements
+    private static Dictionary<string, object> TypedSubmission(string json) =>
+        JsonSerializer.Deserialize<Dictionary<string, object>>(json)!;
+
+    private static JsonElement BodyElement(string cardJson, string id) =>
+        JsonDocument.Parse(cardJson).RootElement.GetProperty("body").EnumerateArray()
+            .First(element => element.TryGetProperty("id", out var elementId) && elementId.GetString() == id);
+
+    // Depth-first through Container items, ColumnSet columns and Table rows/cells
+    private static JsonElement NestedElement(string cardJson, string id) =>
+        FindElement(JsonDocument.Parse(cardJson).RootElement.GetProperty("body"), id)
+            ?? throw new KeyNotFoundException($"No card element with id '{id}'");
+
+    private static JsonElement? FindElement(JsonElement elements, string id) {
+        foreach (var element in elements.EnumerateArray()) {
+            if (element.TryGetProperty("id", out var elementId) && elementId.GetString() == id)
+                return element;
+            foreach (var key in new[] { "items", "columns", "rows", "cells" }) {
+                if (element.TryGetProperty(key, out var children) && children.ValueKind == JsonValueKind.Array
+                    && FindElement(children, id) is { } found)
+                    return found;
+            }
+        }
+        return null;
+    }
+
+    [Fact]
+    public void InjectSuccessState_Should_Write_Typed_MultiSelects_Comma_Separated() {
+        // Arrange
+        var data = TypedSubmission("""{ "name": "Ann", "colors": ["r", "g"], "tags": ["b"] }""");
+
+        // Act
+        var result = AdaptiveCardValidationHelper.InjectSuccessState(CardJson, data);
+
+        // Assert
+        BodyElement(result, "colors").GetProperty("value").GetString().Should().Be("r,g");
+        BodyElement(result, "tags").GetProperty("value").GetString().Should().Be("b");
+        BodyElement(result, "name").GetProperty("value").GetString().Should().Be("Ann");
+        BodyElement(result, "colors").GetProperty("isEnabled").GetBoolean().Should().BeFalse();
+    }
+
+    [Fact]
+    public void InjectSuccessState_Should_Keep_String_MultiSelects() {
+        // Arrange
+        var data = TypedSubmission("""{ "colors": "r,g" }""");
+
+        // Act
+        var result = AdaptiveCardValidationHelper.InjectSuccessState(CardJson, data);
+
+        // Assert
+        BodyElement(result, "colors").GetProperty("value").GetString().Should().Be("r,g");
+    }
+
+    [Fact]
+    public void InjectErrors_Should_Keep_Typed_MultiSelects_Comma_Separated() {
+        // Arrange
+        var data = TypedSubmission("""{ "name": null, "colors": ["r", "g"], "tags": ["a", "b"] }""");
+        var results = new List<ValidationResult> { new("Name is required", new[] { "Name" }) };
+
+        // Act
+        var result = AdaptiveCardValidationHelper.InjectErrors(CardJson, results, data);
+
+        // Assert
+        BodyElement(result, "colors").GetProperty("value").GetString().Should().Be("r,g");
+        BodyElement(result, "tags").GetProperty("value").GetString().Should().Be("a,b");
+        BodyElement(result, "name").GetProperty("value").GetString().Should().BeEmpty();
+        BodyElement(result, "name").GetProperty("style").GetString().Should().Be("error");
+    }
+
+    [Fact]
+    public void InjectErrors_Should_Reach_Inputs_Nested_In_Layouts() {
+        // Arrange
+        var data = TypedSubmission("""{ "name": "", "dob": "1990-04-01", "consent": true }""");
+        var results = new List<ValidationResult> { new("Name is required", new[] { "Name" }) };
+
+        // Act
+        var result = AdaptiveCardValidationHelper.InjectErrors(NestedCardJson, results, data);
+
+        // Assert
+        NestedElement(result, "name").GetProperty("style").GetString().Should().Be("error");
+        JsonDocument.Parse(result).RootElement.GetProperty("body")[0].GetProperty("items").EnumerateArray()
+            .Select(item => item.GetProperty("id").GetString()).Should().Equal("name", "name_error");
+        NestedElement(result, "name_error").GetProperty("text").GetString().Should().Be("⚠ Name is required");
+        NestedElement(result, "dob").GetProperty("value").GetString().Should().Be("1990-04-01");
+        NestedElement(result, "consent").GetProperty("value").GetBoolean().Should().BeTrue();
+    }
+
+    [Fact]
+    public void InjectSuccessState_Should_Fill_And_Disable_Inputs_Nested_In_Layouts() {
+        // Arrange
+        var data = TypedSubmission("""{ "name": "Ann", "dob": "1990-04-01", "consent": true }""");
+
+        // Act
+        var result = AdaptiveCardValidationHelper.InjectSuccessState(NestedCardJson, data);
+
+        // Assert
+        NestedElement(result, "name").GetProperty("value").GetString().Should().Be("Ann");
+        NestedElement(result, "name").GetProperty("isEnabled").GetBoolean().Should().BeFalse();
+        NestedElement(result, "dob").GetProperty("value").GetString().Should().Be("1990-04-01");
+        NestedElement(result, "dob").GetProperty("isEnabled").GetBoolean().Should().BeFalse();
+        NestedElement(result, "consent").GetProperty("value").GetBoolean().Should().BeTrue();
+    }
+
+    [Fact]
+    public void InjectSuccessState_Should_Write_RepeatGroup_Rows_Back_Disabled() {
+        // Arrange
+        const string repeatCardJson = """
+            {
+              "type": "AdaptiveCard",
+              "body": [ { "type": "Input.RepeatGroup", "id": "dependents", "items": [ { "type": "Input.Text", "id": "name" } ] } ]
+            }
+            """;
+        var data = TypedSubmission("""{ "dependents": [ { "name": "Bo" }, { "name": "Al" } ] }""");
+
+        // Act
+        var result = AdaptiveCardValidationHelper.InjectSuccessState(repeatCardJson, data);
+
+        // Assert
+        var group = BodyElement(result, "dependents");
+        group.GetProperty("value").EnumerateArray().Select(row => row.GetProperty("name").GetString())
+            .Should().Equal("Bo", "Al");
+        group.GetProperty("isEnabled").GetBoolean().Should().BeFalse();
+    }
+}
@@ -0,0 +1,120 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using ConversaCore.Cards;
+using FluentAssertions;
+using Xunit;
+
+namespace ConversaCore.Tests.Validation;
+
+/// <summary>
+/// The renderer tests in ConversaCore.UI.Tests validate cards from ConversaCore.UI.Tests/fixtures.
+/// These tests keep those fixtures equal to what the C# models and AdaptiveCardValidationHelper
+/// produce; set UPDATE_CARD_FIXTURES=1 to rewrite them after a model change.
+/// </summary>
+public class CardFixtureTests {
+    // Serialized the way AdaptiveCardActivity.GetCardJson does: camelCase, nulls kept
+    private static readonly JsonSerializerOptions CardJsonOptions = new() {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        WriteIndented = false
+    };
+
+    private static readonly JsonSerializerOptions FixtureOptions = new() {
+        WriteIndented = true,
+        Encoder = System.Text.Encodings.Web.JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+    };
+
+    private static string ProfileCardJson() {
+        var card = new AdaptiveCardModel {
+            Body = new List<CardElement> {
+                new() { Type = "TextBlock", Text = "Lead Details", Weight = "Bolder", Size = "Medium", HorizontalAlignment = "Center" },
+                new() { Type = "TextBlock", Text = "Full name", Wrap = true, HelpText = "As it appears on your ID" },
+                new() { Type = "Input.Text", Id = "name", Text = "Enter your name", IsRequired = true },
+                new() { Type = "Input.Date", Id = "birthdate", Label = "Date of birth" },
+                new() {
+                    Type = "Input.ChoiceSet", Id = "contact", Style = "expanded",
+                    Choices = new List<CardChoice> { new() { Title = "Phone", Value = "phone" }, new() { Title = "Email", Value = "email" } }
+                },
+                new() {
+                    Type = "Input.TagSelect", Id = "language", AllowCustom = true,
+                    Choices = new List<CardChoice> { new() { Title = "English", Value = "English" }, new() { Title = "Spanish", Value = "Spanish" } }
+                },
+                new() { Type = "Input.Toggle", Id = "consent", Text = "I agree to be contacted" },
+                new() {
+                    Type = "Container", Id = "notes",
+                    Items = new List<CardElement> { new() { Type = "TextBlock", Text = "We never share your details", IsSubtle = true } }
+                }
+            },
+            Actions = new List<CardAction> { new() { Type = "Action.Submit", Title = "Submit" } }
+        };
+        return JsonSerializer.Serialize(card, CardJsonOptions);
+    }
+
+    private static string ProfileErrorCardJson() {
+        var data = new Dictionary<string, object> { ["name"] = "", ["birthdate"] = "", ["contact"] = "", ["language"] = "", ["consent"] = false };
+        var results = new List<ValidationResult> {
+            new("Name is required", new[] { "Name" }),
+            new("Date of birth is required", new[] { "Birthdate" }),
+            new("Pick a contact method", new[] { "Contact" }),
+            new("Pick a language", new[] { "Language" }),
+            new("Consent is required", new[] { "Consent" })
+        };
+        return AdaptiveCardValidationHelper.InjectErrors(ProfileCardJson(), results, data);
+    }
+
+    private static string ProfileSuccessCardJson() {
+        var data = new Dictionary<string, object> {
+            ["name"] = "Ann", ["birthdate"] = "1990-04-01", ["contact"] = "email", ["language"] = "Spanish", ["consent"] = true
+        };
+        return AdaptiveCardValidationHelper.InjectSuccessState(ProfileCardJson(), data);
+    }
+
+    // Number and Date limits, which only the renderer's client-side validation checks
+    private static string LimitsCardJson() {
+        var card = new AdaptiveCardModel {
+            Body = new List<CardElement> {
+                new() { Type = "Input.Number", Id = "coverage_amount", Label = "Coverage amount", Format = "currency", Min = 10000, Max = 5000000, Step = 1000 },
+                new() { Type = "Input.Number", Id = "age", Label = "Age", Min = 18, Max = 85 },
+                new() { Type = "Input.Date", Id = "start_date", Label = "Coverage start", Min = "2026-01-01", Max = "2026-12-31" }
+            },
+            Actions = new List<CardAction> { new() { Type = "Action.Submit", Title = "Submit" } }
+        };
+        return JsonSerializer.Serialize(card, CardJsonOptions);
+    }
+
+    public static TheoryData<string> FixtureNames => new() { "profile", "profile.errors", "profile.success", "limits" };
+
+    private static string BuildFixture(string name) => name switch {
+        "profile" => ProfileCardJson(),
+        "limits" => LimitsCardJson(),
+        "profile.errors" => ProfileErrorCardJson(),
+        "profile.success" => ProfileSuccessCardJson(),
+        _ => throw new ArgumentOutOfRangeException(nameof(name), name, "No such card fixture")
+    };
+
+    private static string FixturePath(string name) {
+        for (var dir = new DirectoryInfo(AppContext.BaseDirectory); dir != null; dir = dir.Parent) {
+            var fixtures = Path.Combine(dir.FullName, "ConversaCore.UI.Tests", "fixtures");
+            if (Directory.Exists(fixtures)) return Path.Combine(fixtures, $"{name}.json");
+        }
+        throw new DirectoryNotFoundException("ConversaCore.UI.Tests/fixtures not found above the test output directory");
+    }
+
+    [Theory]
+    [MemberData(nameof(FixtureNames))]
+    public void Renderer_Fixture_Should_Match_The_Serialized_Card(string name) {
+        // Arrange
+        var actual = JsonNode.Parse(BuildFixture(name));
+        var path = FixturePath(name);
+        if (Environment.GetEnvironmentVariable("UPDATE_CARD_FIXTURES") == "1") {
+            File.WriteAllText(path, actual!.ToJsonString(FixtureOptions) + "\n");
+        }
+
+        // Act
+        var expected = JsonNode.Parse(File.ReadAllText(path));
+
+        // Assert
+        JsonNode.DeepEquals(actual, expected).Should().BeTrue(
+            $"{path} should be what the C# card serializes to (rerun with UPDATE_CARD_FIXTURES=1 to refresh it)");
+    }
+}
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadRenderer, readFixture } = require("./renderer");
+
+// AdaptiveCardRenderer.razor forwards every validateCard() diagnostic to .NET on each render,
+// so cards built from the C# models must not produce unknown-property warnings
+// (Array.from: the window's arrays fail assert's prototype check)
+const unknownProperties = (diagnostics) =>
+    Array.from(diagnostics.filter((d) => d.code === "unknown-property"), (d) => d.message);
+
+for (const name of ["profile", "profile.errors", "profile.success"]) {
+    test(`${name} card has no unknown properties`, () => {
+        const { AdaptiveCardRenderer } = loadRenderer();
+
+        const diagnostics = AdaptiveCardRenderer.validateCard(readFixture(name));
+
+        assert.deepEqual(unknownProperties(diagnostics), []);
+    });
+}
+
+test("properties from the Adaptive Cards schema are not flagged", () => {
+    const { AdaptiveCardRenderer } = loadRenderer();
+    const openUrl = { type: "Action.OpenUrl", url: "https://app.local/help" };
+    const card = {
+        type: "AdaptiveCard", version: "1.5", minHeight: "200px", selectAction: openUrl, rtl: false,
+        body: [
+            { type: "TextBlock", text: "Plans", height: "stretch", maxLines: 2, fontType: "Default", style: "heading" },
+            {
+                type: "Container", minHeight: "80px", selectAction: openUrl, backgroundImage: "https://app.local/bg.png",
+                items: [{ type: "Input.Toggle", id: "agree", title: "I agree", wrap: true, height: "auto" }]
+            },
+            {
+                type: "ColumnSet", horizontalAlignment: "Center", selectAction: openUrl,
+                columns: [{ type: "Column", width: "auto", minHeight: "40px", selectAction: openUrl, items: [] }]
+            },
+            { type: "Input.Date", id: "start", placeholder: "Start date" }
+        ],
+        actions: [{ type: "Action.Submit", title: "Send", iconUrl: "https://app.local/send.png", tooltip: "Send it", isEnabled: true, mode: "primary" }]
+    };
+
+    const diagnostics = AdaptiveCardRenderer.validateCard(card);
+
+    assert.deepEqual(unknownProperties(diagnostics), []);
+});
+
+test("properties outside the schema are still flagged", () => {
+    const { AdaptiveCardRenderer } = loadRenderer();
+    const card = { type: "AdaptiveCard", version: "1.5", body: [{ type: "TextBlock", text: "Hi", colour: "Accent" }] };
+
+    const diagnostics = AdaptiveCardRenderer.validateCard(card);
+
+    assert.deepEqual(unknownProperties(diagnostics), ['Unknown property "colour" on TextBlock; it is ignored']);
+});
@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadRenderer, createHost, readFixture } = require("./renderer");
+
+// limits.json is serialized from CardElement Min/Max/Step (see CardFixtureTests)
+function renderLimits() {
+    const window = loadRenderer();
+    const host = createHost(window);
+    window.AdaptiveCardRenderer.render(readFixture("limits"), host, () => {});
+    const fill = (id, value) => {
+        const input = host.querySelector(`#${id}`);
+        input.value = value;
+        input.dispatchEvent(new window.Event("blur"));
+    };
+    return { renderer: window.AdaptiveCardRenderer, host, fill };
+}
+
+test("Number and Date limits from a C# card are enforced before submit", () => {
+    const { renderer, host, fill } = renderLimits();
+    fill("age", "16");
+    fill("start_date", "2025-12-31");
+
+    const errors = renderer.validateInputs(host);
+
+    assert.deepEqual(Object.keys(errors).sort(), ["age", "start_date"]);
+    assert.match(String(errors.age), /18/);
+    assert.match(String(errors.start_date), /2026/);
+    assert.equal(renderer.validateAndReport(host), false);
+    assert.ok(host.querySelector(".ac-error-message"));
+});
+
+test("a formatted Number is clamped to its C# limits instead of failing", () => {
+    const { renderer, host, fill } = renderLimits();
+    fill("coverage_amount", "500");
+
+    assert.equal(host.querySelector("#coverage_amount").value, "$10,000");
+    assert.equal(renderer.collectInputs(host).coverage_amount, "10000");
+    assert.equal(renderer.validateInputs(host).coverage_amount, undefined);
+});
+
+test("values inside the limits pass", () => {
+    const { renderer, host, fill } = renderLimits();
+    fill("coverage_amount", "250000");
+    fill("age", "40");
+    fill("start_date", "2026-06-01");
+
+    assert.deepEqual(Object.keys(renderer.validateInputs(host)), []);
+});
@@ -0,0 +1,35 @@
+// Loads the renderer scripts from ConversaCore.UI/wwwroot/js into a jsdom window, in the order
+// the app's pages include them, and reads card fixtures written by ConversaCore.Tests (CardFixtureTests).
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const SCRIPTS_DIR = path.join(__dirname, "..", "ConversaCore.UI", "wwwroot", "js");
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+function loadRenderer() {
+    const dom = new JSDOM("<!doctype html><html><body></body></html>", {
+        runScripts: "outside-only",
+        pretendToBeVisual: true,
+        url: "https://app.local/"
+    });
+    const window = dom.window;
+    for (const file of ["localization.js", "custom-adaptive-card-renderer.js"]) {
+        window.eval(fs.readFileSync(path.join(SCRIPTS_DIR, file), "utf8"));
+    }
+    return window;
+}
+
+// A fresh element for render() to fill, attached to the window's document
+function createHost(window) {
+    const host = window.document.createElement("div");
+    host.className = "adaptive-card-host";
+    window.document.body.appendChild(host);
+    return host;
+}
+
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), "utf8"));
+}
+
+module.exports = { loadRenderer, createHost, readFixture };
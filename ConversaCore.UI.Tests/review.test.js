@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadRenderer, createHost } = require("./renderer");
+
+// A confirmed submission (_metadata.review) renders as "label: answer" facts
+function renderReview(body) {
+    const window = loadRenderer();
+    const host = createHost(window);
+    const card = { type: "AdaptiveCard", version: "1.5", body, _metadata: { activityId: "act1", review: true } };
+    window.AdaptiveCardRenderer.render(card, host, () => {});
+    const terms = Array.from(host.querySelectorAll(".ac-factset-term"), (term) => term.textContent);
+    const values = Array.from(host.querySelectorAll(".ac-factset-value"), (value) => value.textContent);
+    return { terms, values };
+}
+
+test("an input labelled by a TextBlock in the column beside it is named by that TextBlock", () => {
+    const { terms, values } = renderReview([
+        {
+            type: "ColumnSet", columns: [
+                { type: "Column", items: [{ type: "TextBlock", text: "Date of birth" }] },
+                { type: "Column", items: [{ type: "Input.Date", id: "dob", value: "1990-04-01" }] }
+            ]
+        }
+    ]);
+
+    assert.deepEqual(terms, ["Date of birth"]);
+    assert.equal(values.length, 1);
+});
+
+test("an input without any label falls back to its placeholder, never its id", () => {
+    const { terms } = renderReview([
+        { type: "Input.Text", id: "nick", placeholder: "Nickname", value: "Bo" },
+        { type: "Image", url: "https://app.local/logo.png" },
+        { type: "Input.Text", id: "ref_code", value: "X1" }
+    ]);
+
+    assert.deepEqual(terms, ["Nickname", ""]);
+});
+
+test("a Number's format is matched case-insensitively, as on the form", () => {
+    const { values } = renderReview([
+        { type: "Input.Number", id: "amount", label: "Amount", format: "Currency", value: 1500 }
+    ]);
+
+    assert.equal(values[0], "$1,500");
+});
@@ -31,6 +31,14 @@ public class ChatInteropService : IChatInteropService {
         await _jsRuntime.InvokeVoidAsync("scrollChatToBottom", container);
     }
 
+    /// <summary>
+    /// Sets the UI language (e.g. "es") for the chat and every card rendered after this call;
+    /// null goes back to the page/browser language. Returns the locale now in effect.
+    /// </summary>
+    public async Task<string?> SetLocaleAsync(string? locale) {
+        return await _jsRuntime.InvokeAsync<string?>("setConversationLocale", locale);
+    }
+
     /// <summary>
     /// Handles form submission from an Adaptive Card and returns processed data.
     /// Currently a pass-through, but can be extended for validation/normalization.
@@ -0,0 +1,451 @@
+// adaptive-card-templating.js
+// Client-side Adaptive Cards templating: expands ${...} bindings, $data iteration,
+// $index, $root and $when against a data object before the card is rendered.
+// Expressions are a safe subset of the Adaptive Expressions language (no eval).
+
+(function () {
+    // Avoid redeclaration if bundled twice
+    if (window.AdaptiveCardTemplating) return;
+
+    // Marker for elements dropped by $when (filtered out of arrays/objects)
+    const DROP = {};
+
+    // ---------------------------------------------------------------------
+    // Tokenizer
+    // ---------------------------------------------------------------------
+    const OPERATORS = ["==", "!=", "<=", ">=", "&&", "||", "<", ">", "!", "+", "-", "*", "/", "%", "(", ")", "[", "]", ".", ","];
+
+    function tokenize(src) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < src.length) {
+            const ch = src[i];
+
+            if (/\s/.test(ch)) { i++; continue; }
+
+            // Numbers
+            if (/[0-9]/.test(ch)) {
+                let j = i;
+                while (j < src.length && /[0-9.]/.test(src[j])) j++;
+                tokens.push({ type: "num", value: Number(src.slice(i, j)) });
+                i = j;
+                continue;
+            }
+
+            // Strings: '...' or "..." with backslash escapes
+            if (ch === "'" || ch === '"') {
+                let j = i + 1;
+                let value = "";
+                while (j < src.length && src[j] !== ch) {
+                    if (src[j] === "\\" && j + 1 < src.length) j++;
+                    value += src[j];
+                    j++;
+                }
+                if (j >= src.length) throw new Error(`Unterminated string in expression: ${src}`);
+                tokens.push({ type: "str", value });
+                i = j + 1;
+                continue;
+            }
+
+            // Identifiers ($root, $index, name, _private)
+            if (/[A-Za-z_$@]/.test(ch)) {
+                let j = i;
+                while (j < src.length && /[A-Za-z0-9_$@]/.test(src[j])) j++;
+                tokens.push({ type: "id", value: src.slice(i, j) });
+                i = j;
+                continue;
+            }
+
+            const op = OPERATORS.find((o) => src.startsWith(o, i));
+            if (!op) throw new Error(`Unexpected '${ch}' in expression: ${src}`);
+            tokens.push({ type: "op", value: op });
+            i += op.length;
+        }
+
+        return tokens;
+    }
+
+    // ---------------------------------------------------------------------
+    // Parser → small AST
+    // ---------------------------------------------------------------------
+    function parse(src) {
+        const tokens = tokenize(src);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const isOp = (value) => peek() && peek().type === "op" && peek().value === value;
+        const expectOp = (value) => {
+            if (!isOp(value)) throw new Error(`Expected '${value}' in expression: ${src}`);
+            pos++;
+        };
+
+        function binary(next, ops) {
+            return function () {
+                let left = next();
+                while (peek() && peek().type === "op" && ops.includes(peek().value)) {
+                    const op = tokens[pos++].value;
+                    left = { kind: "binary", op, left, right: next() };
+                }
+                return left;
+            };
+        }
+
+        function unary() {
+            if (isOp("!") || isOp("-")) {
+                const op = tokens[pos++].value;
+                return { kind: "unary", op, arg: unary() };
+            }
+            return postfix();
+        }
+
+        function postfix() {
+            let node = primary();
+            for (;;) {
+                if (isOp(".")) {
+                    pos++;
+                    const name = tokens[pos++];
+                    if (!name || name.type !== "id") throw new Error(`Expected property name in expression: ${src}`);
+                    node = { kind: "member", object: node, property: { kind: "lit", value: name.value } };
+                } else if (isOp("[")) {
+                    pos++;
+                    const property = or();
+                    expectOp("]");
+                    node = { kind: "member", object: node, property };
+                } else {
+                    return node;
+                }
+            }
+        }
+
+        function primary() {
+            const tok = tokens[pos++];
+            if (!tok) throw new Error(`Unexpected end of expression: ${src}`);
+
+            if (tok.type === "num" || tok.type === "str") return { kind: "lit", value: tok.value };
+
+            if (tok.type === "id") {
+                if (tok.value === "true") return { kind: "lit", value: true };
+                if (tok.value === "false") return { kind: "lit", value: false };
+                if (tok.value === "null") return { kind: "lit", value: null };
+
+                if (isOp("(")) {
+                    pos++;
+                    const args = [];
+                    if (!isOp(")")) {
+                        args.push(or());
+                        while (isOp(",")) { pos++; args.push(or()); }
+                    }
+                    expectOp(")");
+                    return { kind: "call", name: tok.value, args };
+                }
+                return { kind: "ident", name: tok.value };
+            }
+
+            if (tok.type === "op" && tok.value === "(") {
+                const inner = or();
+                expectOp(")");
+                return inner;
+            }
+
+            throw new Error(`Unexpected '${tok.value}' in expression: ${src}`);
+        }
+
+        const multiplicative = binary(unary, ["*", "/", "%"]);
+        const additive = binary(multiplicative, ["+", "-"]);
+        const relational = binary(additive, ["<", ">", "<=", ">="]);
+        const equality = binary(relational, ["==", "!="]);
+        const and = binary(equality, ["&&"]);
+        const or = binary(and, ["||"]);
+
+        const ast = or();
+        if (pos < tokens.length) throw new Error(`Unexpected '${tokens[pos].value}' in expression: ${src}`);
+        return ast;
+    }
+
+    // ---------------------------------------------------------------------
+    // Evaluator
+    // ---------------------------------------------------------------------
+    const isEmpty = (v) => v === undefined || v === null || v === "" ||
+        (Array.isArray(v) && v.length === 0) ||
+        (typeof v === "object" && !Array.isArray(v) && Object.keys(v).length === 0);
+
+    const toNumber = (v) => (typeof v === "number" ? v : Number(v));
+
+    // Adaptive Expressions prebuilt functions (subset used by card templates)
+    const FUNCTIONS = {
+        if: (c, a, b) => (c ? a : b),
+        equals: (a, b) => a === b,
+        not: (a) => !a,
+        and: (...args) => args.every(Boolean),
+        or: (...args) => args.some(Boolean),
+        greater: (a, b) => a > b,
+        greaterOrEquals: (a, b) => a >= b,
+        less: (a, b) => a < b,
+        lessOrEquals: (a, b) => a <= b,
+        exists: (a) => a !== undefined && a !== null,
+        empty: isEmpty,
+        count: (a) => (a == null ? 0 : (Array.isArray(a) || typeof a === "string") ? a.length : Object.keys(a).length),
+        length: (a) => (a == null ? 0 : String(a).length),
+        coalesce: (...args) => args.find((a) => a !== undefined && a !== null) ?? null,
+        concat: (...args) => (args.every(Array.isArray) ? [].concat(...args) : args.map((a) => (a == null ? "" : String(a))).join("")),
+        contains: (coll, item) => (coll == null ? false
+            : (typeof coll === "string" || Array.isArray(coll)) ? coll.includes(item)
+            : Object.prototype.hasOwnProperty.call(coll, item)),
+        join: (arr, sep) => (Array.isArray(arr) ? arr.join(sep ?? ",") : ""),
+        first: (a) => (a == null ? undefined : a[0]),
+        last: (a) => (a == null ? undefined : a[a.length - 1]),
+        toUpper: (s) => (s == null ? "" : String(s).toUpperCase()),
+        toLower: (s) => (s == null ? "" : String(s).toLowerCase()),
+        trim: (s) => (s == null ? "" : String(s).trim()),
+        substring: (s, start, len) => String(s ?? "").substr(start, len),
+        replace: (s, find, repl) => String(s ?? "").split(String(find)).join(String(repl ?? "")),
+        add: (a, b) => (typeof a === "string" || typeof b === "string" ? `${a}${b}` : a + b),
+        sub: (a, b) => a - b,
+        mul: (a, b) => a * b,
+        div: (a, b) => a / b,
+        mod: (a, b) => a % b,
+        int: (a) => parseInt(a, 10),
+        float: (a) => parseFloat(a),
+        string: (a) => (a == null ? "" : typeof a === "object" ? JSON.stringify(a) : String(a)),
+        bool: (a) => (typeof a === "string" ? a.toLowerCase() === "true" : Boolean(a)),
+        json: (a) => (typeof a === "string" ? JSON.parse(a) : a),
+        formatNumber: (n, decimals, locale) => toNumber(n).toLocaleString(locale || undefined, {
+            minimumFractionDigits: decimals ?? 0,
+            maximumFractionDigits: decimals ?? 0
+        })
+    };
+
+    function evaluateNode(node, ctx) {
+        switch (node.kind) {
+            case "lit":
+                return node.value;
+
+            case "ident":
+                if (node.name === "$root") return ctx.$root;
+                if (node.name === "$data") return ctx.$data;
+                if (node.name === "$index") return ctx.$index;
+                if (node.name === "$host") return ctx.$host;
+                return (ctx.$data !== null && typeof ctx.$data === "object") ? ctx.$data[node.name] : undefined;
+
+            case "member": {
+                const obj = evaluateNode(node.object, ctx);
+                if (obj === undefined || obj === null) return undefined;
+                const key = evaluateNode(node.property, ctx);
+                // Never walk into prototype internals from card-supplied expressions
+                if (key === "__proto__" || key === "constructor" || key === "prototype") return undefined;
+                return Object.prototype.hasOwnProperty.call(Object(obj), key) ? obj[key] : undefined;
+            }
+
+            case "unary": {
+                const v = evaluateNode(node.arg, ctx);
+                return node.op === "!" ? !v : -toNumber(v);
+            }
+
+            case "binary": {
+                if (node.op === "&&") return evaluateNode(node.left, ctx) && evaluateNode(node.right, ctx);
+                if (node.op === "||") return evaluateNode(node.left, ctx) || evaluateNode(node.right, ctx);
+
+                const a = evaluateNode(node.left, ctx);
+                const b = evaluateNode(node.right, ctx);
+                switch (node.op) {
+                    case "==": return a === b;
+                    case "!=": return a !== b;
+                    case "<": return a < b;
+                    case ">": return a > b;
+                    case "<=": return a <= b;
+                    case ">=": return a >= b;
+                    case "+": return (typeof a === "string" || typeof b === "string") ? `${a ?? ""}${b ?? ""}` : a + b;
+                    case "-": return a - b;
+                    case "*": return a * b;
+                    case "/": return a / b;
+                    case "%": return a % b;
+                }
+                return undefined;
+            }
+
+            case "call": {
+                const fn = Object.prototype.hasOwnProperty.call(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : null;
+                if (!fn) throw new Error(`Unknown template function: ${node.name}`);
+                // if() only evaluates the branch it returns
+                if (node.name === "if") {
+                    return evaluateNode(node.args[0], ctx)
+                        ? evaluateNode(node.args[1], ctx)
+                        : evaluateNode(node.args[2], ctx);
+                }
+                return fn(...node.args.map((a) => evaluateNode(a, ctx)));
+            }
+        }
+        return undefined;
+    }
+
+    const astCache = new Map();
+
+    function evaluate(expression, ctx) {
+        let ast = astCache.get(expression);
+        if (!ast) {
+            ast = parse(expression);
+            astCache.set(expression, ast);
+        }
+        return evaluateNode(ast, ctx);
+    }
+
+    // ---------------------------------------------------------------------
+    // ${...} interpolation
+    // ---------------------------------------------------------------------
+
+    // Split a string into literal text and ${expr} segments (quotes and nested braces aware)
+    function splitBindings(text) {
+        const parts = [];
+        let i = 0;
+        let literal = "";
+
+        while (i < text.length) {
+            if (text[i] === "$" && text[i + 1] === "{") {
+                let depth = 1;
+                let j = i + 2;
+                let quote = null;
+                while (j < text.length && depth > 0) {
+                    const ch = text[j];
+                    if (quote) {
+                        if (ch === "\\") j++;
+                        else if (ch === quote) quote = null;
+                    } else if (ch === "'" || ch === '"') quote = ch;
+                    else if (ch === "{") depth++;
+                    else if (ch === "}") depth--;
+                    j++;
+                }
+                if (depth !== 0) break; // unterminated: keep the rest as literal text
+
+                if (literal) parts.push({ literal });
+                literal = "";
+                parts.push({ expression: text.slice(i + 2, j - 1), source: text.slice(i, j) });
+                i = j;
+            } else {
+                literal += text[i++];
+            }
+        }
+
+        literal += text.slice(i);
+        if (literal) parts.push({ literal });
+        return parts;
+    }
+
+    // A string that is exactly one ${expr} keeps the value's type (number, bool, array...).
+    // Unresolvable bindings are left as-is, matching the Adaptive Cards templating SDK.
+    function interpolate(text, ctx) {
+        if (text.indexOf("${") === -1) return text;
+        const parts = splitBindings(text);
+
+        const resolve = (part) => {
+            try {
+                return evaluate(part.expression, ctx);
+            } catch (err) {
+                console.warn("[AdaptiveCards] Template expression failed:", part.source, err.message);
+                return undefined;
+            }
+        };
+
+        if (parts.length === 1 && parts[0].expression !== undefined) {
+            const value = resolve(parts[0]);
+            return value === undefined ? text : value;
+        }
+
+        return parts.map((part) => {
+            if (part.literal !== undefined) return part.literal;
+            const value = resolve(part);
+            if (value === undefined) return part.source;
+            if (value === null) return "";
+            return typeof value === "object" ? JSON.stringify(value) : String(value);
+        }).join("");
+    }
+
+    // ---------------------------------------------------------------------
+    // Tree expansion
+    // ---------------------------------------------------------------------
+    function resolveData(value, ctx) {
+        return typeof value === "string" ? interpolate(value, ctx) : expandNode(value, ctx);
+    }
+
+    function passesWhen(obj, ctx) {
+        if (!Object.prototype.hasOwnProperty.call(obj, "$when")) return true;
+        const when = obj.$when;
+        const result = typeof when === "string" ? interpolate(when, ctx) : when;
+        // An unresolved binding (still a "${...}" string) counts as false
+        if (typeof result === "string") return result.toLowerCase() === "true";
+        return !!result;
+    }
+
+    function expandObject(obj, ctx) {
+        if (!passesWhen(obj, ctx)) return DROP;
+
+        const out = {};
+        for (const [key, value] of Object.entries(obj)) {
+            if (key === "$data" || key === "$when") continue;
+            const expanded = expandNode(value, ctx);
+            if (expanded !== DROP) out[key] = expanded;
+        }
+        return out;
+    }
+
+    function expandNode(node, ctx) {
+        if (typeof node === "string") return interpolate(node, ctx);
+
+        if (Array.isArray(node)) {
+            const out = [];
+            node.forEach((item) => {
+                if (item && typeof item === "object" && !Array.isArray(item) &&
+                    Object.prototype.hasOwnProperty.call(item, "$data")) {
+                    const data = resolveData(item.$data, ctx);
+
+                    // $data bound to an array repeats the element once per entry
+                    if (Array.isArray(data)) {
+                        data.forEach((entry, index) => {
+                            const expanded = expandObject(item, { $root: ctx.$root, $host: ctx.$host, $data: entry, $index: index });
+                            if (expanded !== DROP) out.push(expanded);
+                        });
+                        return;
+                    }
+
+                    const expanded = expandObject(item, Object.assign({}, ctx, { $data: data }));
+                    if (expanded !== DROP) out.push(expanded);
+                    return;
+                }
+
+                const expanded = expandNode(item, ctx);
+                if (expanded !== DROP) out.push(expanded);
+            });
+            return out;
+        }
+
+        if (node && typeof node === "object") {
+            const scoped = Object.prototype.hasOwnProperty.call(node, "$data")
+                ? Object.assign({}, ctx, { $data: resolveData(node.$data, ctx) })
+                : ctx;
+            return expandObject(node, scoped);
+        }
+
+        return node;
+    }
+
+    const Templating = {
+        // Expand a card template against data. Returns a new card object (the template is not mutated).
+        // host: optional host-supplied data exposed to expressions as $host.
+        expand(template, data, host) {
+            const tpl = (typeof template === "string") ? JSON.parse(template) : template;
+            const root = (typeof data === "string") ? JSON.parse(data) : data;
+            const ctx = { $root: root, $data: root, $index: undefined, $host: host };
+
+            const card = expandNode(tpl, ctx);
+            // A root-level $when that fails leaves nothing to render
+            return card === DROP ? null : card;
+        },
+
+        // Evaluate a single expression (without ${}) against data; handy for host code and tests
+        evaluate(expression, data) {
+            return evaluate(expression, { $root: data, $data: data, $index: undefined });
+        }
+    };
+
+    window.AdaptiveCardTemplating = Templating;
+})();
@@ -60,11 +60,26 @@
         return false;
     };
 
+    // --- Schema diagnostics: log them and hand them to Blazor (OnCardDiagnostics) ---
+    function sendDiagnostics(dotNetHelper, diagnostics) {
+        console.warn(`[AdaptiveCards] Card has ${diagnostics.length} schema problem(s):`, diagnostics);
+        if (!dotNetHelper || typeof dotNetHelper.invokeMethodAsync !== "function") return;
+        // Older components have no OnCardDiagnostics; the console warning above still stands
+        Promise.resolve()
+            .then(() => dotNetHelper.invokeMethodAsync("OnCardDiagnostics", diagnostics))
+            .catch((err) => console.debug("[AdaptiveCards] OnCardDiagnostics not delivered:", err));
+    }
+
     // --- Render AdaptiveCard via custom renderer ---
     // wrapperId: element that will contain a `.adaptive-card-host` div
     // cardJson:  stringified Adaptive Card object (or already-parsed object)
-    // dotNetHelper: DotNetObjectReference to call back into Blazor (expects OnCardSubmit)
-    window.renderAdaptiveCard = function (wrapperId, cardJson, dotNetHelper) {
+    // dotNetHelper: DotNetObjectReference to call back into Blazor (expects OnCardSubmit, OnCardExecute, OnChoicesQuery)
+    // renderOptions: optional extras for the renderer (e.g. { allowedHosts: ["carrier.example.com"] })
+    //               data: when present, cardJson is a template expanded against it (${...}, $data, $when)
+    //               hostConfig: theme for this card (fonts, sizes, colors, spacing, actions)
+    //               locale: UI language for this card, e.g. "es" (else the card's lang, else setLocale's)
+    //               showDiagnostics: list schema problems in an overlay on the card (dev mode)
+    window.renderAdaptiveCard = function (wrapperId, cardJson, dotNetHelper, renderOptions) {
         try {
             const wrapper = document.getElementById(wrapperId);
             if (!wrapper) {
@@ -83,9 +98,6 @@
             // Attach helper for downstream lookups (renderAction fallback, etc.)
             wrapper.dotNetHelper = dotNetHelper || null;
 
-            // Clear host content
-            host.innerHTML = "";
-
             // Use custom renderer instead of AdaptiveCards.js
             if (typeof window.AdaptiveCardRenderer === "undefined") {
                 host.innerHTML = `<div class="adaptive-card-loading"><p>Loading custom card renderer...</p></div>`;
@@ -93,31 +105,88 @@
                 return false;
             }
 
-            // Accept object or string
-            const cardObj = (typeof cardJson === "string")
-                ? JSON.parse(cardJson)
-                : (cardJson || {});
+            // Accept object or string; malformed JSON is reported like any other schema problem
+            let cardObj;
+            try {
+                cardObj = (typeof cardJson === "string")
+                    ? JSON.parse(cardJson)
+                    : (cardJson || {});
+            } catch (parseErr) {
+                const diagnostics = [{ severity: "error", code: "invalid-json", message: `Card JSON could not be parsed: ${parseErr.message}`, path: "", elementId: null }];
+                host.innerHTML = "";
+                host.acCard = null;
+                if (renderOptions && renderOptions.showDiagnostics) window.AdaptiveCardRenderer.showDiagnostics(host, diagnostics);
+                sendDiagnostics(dotNetHelper, diagnostics);
+                return false;
+            }
+
+            // Expand templates client-side when data is supplied (or the template carries its own $data)
+            const templateData = renderOptions ? renderOptions.data : undefined;
+            if (cardObj && typeof cardObj === "object" && (templateData !== undefined || cardObj.$data !== undefined)) {
+                if (typeof window.AdaptiveCardTemplating === "undefined") {
+                    console.error("[AdaptiveCards] AdaptiveCardTemplating is not available. Ensure js/adaptive-card-templating.js is loaded first.");
+                    return false;
+                }
+                cardObj = window.AdaptiveCardTemplating.expand(cardObj, templateData);
+                if (cardObj === null) {
+                    // Root-level $when evaluated to false: nothing to show
+                    host.innerHTML = "";
+                    host.acCard = null;
+                    return true;
+                }
+            }
 
             // Defensive: basic shape check
-            if (!cardObj || typeof cardObj !== "object") {
+            if (!cardObj || typeof cardObj !== "object" || Array.isArray(cardObj)) {
                 console.error("[AdaptiveCards] Card JSON is not an object:", cardObj);
+                sendDiagnostics(dotNetHelper, window.AdaptiveCardRenderer.validateCard(cardObj));
                 return false;
             }
 
-            // Render and bridge submit to Blazor
-            window.AdaptiveCardRenderer.render(cardObj, host, function (submitData) {
-                try {
-                    if (dotNetHelper && typeof dotNetHelper.invokeMethodAsync === "function") {
-                        console.debug("[AdaptiveCards] Invoking OnCardSubmit with payload:", submitData);
-                        dotNetHelper.invokeMethodAsync("OnCardSubmit", submitData);
-                    } else {
-                        console.warn("[AdaptiveCards] dotNetHelper missing or invalid; submit payload:", submitData);
+            // Bridge Action.Execute (and refresh) to Blazor; a returned card JSON replaces this card
+            const options = Object.assign({}, renderOptions || {}, {
+                onExecute: function (verb, executeData) {
+                    if (!dotNetHelper || typeof dotNetHelper.invokeMethodAsync !== "function") {
+                        console.warn("[AdaptiveCards] dotNetHelper missing or invalid; execute payload:", verb, executeData);
+                        return Promise.resolve(null);
                     }
-                } catch (invokeErr) {
-                    console.error("[AdaptiveCards] Error invoking OnCardSubmit:", invokeErr);
+                    console.debug("[AdaptiveCards] Invoking OnCardExecute:", verb, executeData);
+                    return dotNetHelper.invokeMethodAsync("OnCardExecute", verb, executeData);
+                },
+                // Typeahead ChoiceSet (choices.data) lookups; resolves to [{ title, value }]
+                onChoicesQuery: function (dataset, text, count) {
+                    if (!dotNetHelper || typeof dotNetHelper.invokeMethodAsync !== "function") {
+                        console.warn("[AdaptiveCards] dotNetHelper missing or invalid; choices query:", dataset, text);
+                        return Promise.resolve([]);
+                    }
+                    return dotNetHelper.invokeMethodAsync("OnChoicesQuery", dataset, text, count ?? null);
+                },
+                // Validation against the supported schema (types, ids, properties, version); only called with problems
+                onDiagnostics: function (diagnostics) {
+                    sendDiagnostics(dotNetHelper, diagnostics);
                 }
             });
 
+            // Bridge submit to Blazor: the renderer's only path to OnCardSubmit. The returned promise is the
+            // acknowledgement (the button stays busy until it settles; a rejection offers a retry).
+            const onSubmit = function (submitData, submission) {
+                if (!dotNetHelper || typeof dotNetHelper.invokeMethodAsync !== "function") {
+                    console.warn("[AdaptiveCards] dotNetHelper missing or invalid; submit payload:", submitData);
+                    return Promise.resolve();
+                }
+                const idempotencyKey = (submission && submission.idempotencyKey) || null;
+                console.debug("[AdaptiveCards] Invoking OnCardSubmit:", idempotencyKey, submitData);
+                return dotNetHelper.invokeMethodAsync("OnCardSubmit", submitData, idempotencyKey);
+            };
+
+            // A card already on screen (e.g. sent back with validationErrors) is patched in place
+            // so the user's entries and focus survive; anything else is rendered fresh
+            if (host.acCard) {
+                window.AdaptiveCardRenderer.update(host, cardObj, onSubmit, options);
+            } else {
+                window.AdaptiveCardRenderer.render(cardObj, host, onSubmit, options);
+            }
+
             return true;
         } catch (error) {
             console.error("[AdaptiveCards] Error rendering custom adaptive card:", error);
@@ -126,6 +195,52 @@
     };
 
 
+    // --- Navigation allowlist for Action.OpenUrl (applies to every card) ---
+    // allowedHosts: ["carrier.example.com", "*.example.org"]
+    window.configureAdaptiveCardNavigation = function (allowedHosts) {
+        if (typeof window.AdaptiveCardRenderer === "undefined") {
+            console.error("[AdaptiveCards] AdaptiveCardRenderer is not available; navigation policy not applied.");
+            return false;
+        }
+        window.AdaptiveCardRenderer.configureNavigation({ allowedHosts: allowedHosts || [] });
+        return true;
+    };
+
+    // --- Default HostConfig (theme) for every card rendered without renderOptions.hostConfig ---
+    window.configureAdaptiveCardTheme = function (hostConfig) {
+        if (typeof window.AdaptiveCardRenderer === "undefined") {
+            console.error("[AdaptiveCards] AdaptiveCardRenderer is not available; theme not applied.");
+            return false;
+        }
+        window.AdaptiveCardRenderer.setHostConfig(hostConfig || null);
+        return true;
+    };
+
+    // --- Default UI language for cards rendered without renderOptions.locale or a card lang ---
+    window.setAdaptiveCardLocale = function (locale) {
+        if (typeof window.AdaptiveCardRenderer === "undefined") {
+            console.error("[AdaptiveCards] AdaptiveCardRenderer is not available; locale not applied.");
+            return null;
+        }
+        return window.AdaptiveCardRenderer.setLocale(locale || null);
+    };
+
+    // --- Review state: lock every card of a confirmed activity into its read-only summary ---
+    // Read-only: the .NET side has no way to re-open a finished activity, so no Edit. Returns how many cards were locked.
+    window.reviewAdaptiveCard = function (activityId) {
+        if (typeof window.AdaptiveCardRenderer === "undefined") {
+            console.error("[AdaptiveCards] AdaptiveCardRenderer is not available; card not locked.");
+            return 0;
+        }
+        if (!activityId) return 0;
+        let count = 0;
+        document.querySelectorAll(".adaptive-card-host").forEach((host) => {
+            const metadata = host.acCard && host.acCard._metadata;
+            if (metadata && metadata.activityId === activityId && window.AdaptiveCardRenderer.review(host)) count++;
+        });
+        return count;
+    };
+
     // --- Extract Actions (helper for external toolbars, etc.) ---
     window.extractCardActions = function (cardJson) {
         try {
@@ -168,6 +283,10 @@
             console.log("Enhanced adaptive cards initialized");
         },
         renderAdaptiveCard: window.renderAdaptiveCard,
+        configureNavigation: window.configureAdaptiveCardNavigation,
+        configureTheme: window.configureAdaptiveCardTheme,
+        setLocale: window.setAdaptiveCardLocale,
+        reviewCard: window.reviewAdaptiveCard,
         extractCardActions: window.extractCardActions,
         handleCardSubmit: window.handleCardSubmit,
         setupAdaptiveCardEvents: window.setupAdaptiveCardEvents
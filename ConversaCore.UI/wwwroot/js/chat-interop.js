@@ -48,6 +48,18 @@ window.sendEventToBot = function (eventName, eventData) {
     }
 };
 
+// Set the UI language for the chat and every card rendered after this (e.g. once the lead
+// picks a preferred language); null goes back to the page/browser language
+window.setConversationLocale = function (locale) {
+    if (!window.ConversaLocalization) {
+        console.error("ConversaLocalization is not available. Ensure js/localization.js is loaded first.");
+        return null;
+    }
+    const active = window.ConversaLocalization.setLocale(locale);
+    console.log(`Conversation locale set to ${active}`);
+    return active;
+};
+
 // Enhanced scroll to bottom with smooth animation
 window.scrollChatToBottom = function (element) {
     if (element) {
@@ -121,12 +133,17 @@ window.recordChatEvent = function (eventType, eventData) {
     
     // Show toast notification for certain events
     if (eventType === 'message_copied') {
-        showToast('Message copied to clipboard!');
+        showToast(chatText('chat.messageCopied'));
     } else if (eventType === 'consent_requested') {
-        showToast('Please review the consent request');
+        showToast(chatText('chat.consentRequested'));
     }
 };
 
+// Chat UI text from the shared string catalog, in the active locale
+function chatText(key) {
+    return window.ConversaLocalization ? window.ConversaLocalization.t(key) : key;
+}
+
 // Custom toast notification system
 let toastTimeout;
 function showToast(message, duration = 3000) {
@@ -142,29 +159,20 @@ function showToast(message, duration = 3000) {
     // Create new toast
     const toast = document.createElement('div');
     toast.className = 'chat-toast';
+    toast.setAttribute('role', 'status');
     toast.textContent = message;
-    toast.style.position = 'fixed';
-    toast.style.bottom = '20px';
-    toast.style.right = '20px';
-    toast.style.backgroundColor = '#333';
-    toast.style.color = '#fff';
-    toast.style.padding = '10px 15px';
-    toast.style.borderRadius = '4px';
-    toast.style.zIndex = '9999';
-    toast.style.opacity = '0';
-    toast.style.transition = 'opacity 0.3s ease';
     
-    // Add to document
+    // Add to document (look comes from .chat-toast in chat-enhanced.css)
     document.body.appendChild(toast);
     
     // Show toast
     setTimeout(() => {
-        toast.style.opacity = '1';
+        toast.classList.add('visible');
     }, 10);
     
     // Hide and remove toast after duration
     toastTimeout = setTimeout(() => {
-        toast.style.opacity = '0';
+        toast.classList.remove('visible');
         setTimeout(() => {
             toast.remove();
         }, 300);
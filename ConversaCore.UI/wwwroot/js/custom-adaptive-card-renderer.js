@@ -20,233 +20,459 @@
         return node;
     }
 
+    // Element and action registries. Built-in types are registered at the bottom of this file;
+    // hosts add their own with AdaptiveCardRenderer.registerElement / registerAction.
+    //   element: { render(element, { renderer, validationErrors }) → Node,
+    //              collect?(field, { renderer, host, typed }) → value, (present ⇒ the element is an input)
+    //              validate?(value, field) → message | null }        (after the shared required check)
+    //   action:  handler(action, { host, button, onSubmit, renderer }) on click
+    const elementRegistry = new Map();
+    const actionRegistry = new Map();
+    const actionProperties = new Map(); // action type → type-specific properties (null: not checked)
+
     const Renderer = {
-        // Collect all inputs from within a given host/container
-        collectInputs(host) {
+        // Collect all inputs from within a given host/container: every annotated field whose
+        // element type registered a collect() contributes { [id]: value }.
+        // Input.RepeatGroup values are arrays of row objects; pass { flat: true } to also get every
+        // row input under its namespaced DOM id (used by validation and visibleWhen).
+        // { typed: true } gives the typed payload (see isTypedPayload) instead of AC-style strings:
+        // numbers, booleans, arrays for multi-selects, ISO date strings and null for empty fields.
+        collectInputs(host, options) {
             const formData = {};
-            const seenGroups = new Set();
-
-            // SELECTs (supports multiple)
-            host.querySelectorAll("select.ac-input").forEach((select) => {
-                const id = select.id;
-                if (!id) return;
-                if (select.multiple) {
-                    const vals = Array.from(select.selectedOptions).map((o) => o.value ?? "");
-                    formData[id] = vals.join(","); // AdaptiveCards uses comma-separated for multi
-                } else {
-                    formData[id] = select.value ?? "";
-                }
-            });
+            const flat = !!(options && options.flat);
+            const typed = !!(options && options.typed);
 
-            // Single inputs (text/number/date)
-            host.querySelectorAll("input.ac-input:not([type='checkbox']):not([type='radio'])").forEach((input) => {
-                const id = input.id;
-                if (!id) return;
-                formData[id] = input.value ?? "";
-            });
+            host.querySelectorAll("[data-ac-input-type]").forEach((field) => {
+                const id = field.getAttribute("data-field-id");
+                if (!id || isHidden(field) || (!flat && inNestedRepeatRow(field, host))) return;
 
-            // Toggles (single checkbox with valueOn/valueOff)
-            host.querySelectorAll("input.ac-input[type='checkbox'].ac-toggle").forEach((input) => {
-                const id = input.id;
-                if (!id) return;
-                const on = input.dataset.valueOn ?? "true";
-                const off = input.dataset.valueOff ?? "false";
-                formData[id] = input.checked ? on : off;
+                const definition = elementRegistry.get(field.getAttribute("data-ac-input-type"));
+                if (!definition || typeof definition.collect !== "function") return;
+                formData[id] = definition.collect(field, { renderer: this, host, typed });
             });
 
-            // TagSelect: custom chips input groups
-            host.querySelectorAll(".ac-tagSelect-group").forEach((group) => {
-                const id = group.getAttribute("data-tag-select-id");
-                if (!id) return;
-                
-                // Check if a chip is selected
-                const selectedChip = group.querySelector(".ac-tag-chip.selected");
-                if (selectedChip) {
-                    formData[id] = selectedChip.getAttribute("data-value");
-                } else {
-                    // Check if custom text input has value
-                    const customInput = group.querySelector(".ac-tagSelect-custom");
-                    if (customInput && customInput.value.trim()) {
-                        formData[id] = customInput.value.trim();
-                    } else {
-                        formData[id] = "";
-                    }
-                }
+            return formData;
+        },
+
+        // Validate every annotated input in host against its card rules.
+        // Returns { [inputId]: message } — empty object when the card is valid.
+        validateInputs(host) {
+            const values = this.collectInputs(host, { flat: true });
+            const errors = {};
+
+            host.querySelectorAll("[data-ac-input-type]").forEach((field) => {
+                const id = field.getAttribute("data-field-id");
+                if (!id || errors[id] || isHidden(field)) return; // hidden inputs are never validated
+                const message = validateField(field, values[id]);
+                if (message) errors[id] = message;
             });
 
-            // ChoiceSet expanded: radio (single) or checkbox (multi) groups
-            host.querySelectorAll("[data-ac-group]").forEach((input) => {
-                const groupId = input.getAttribute("data-ac-group");
-                if (!groupId || seenGroups.has(groupId)) return; // handle once per group
+            return errors;
+        },
+
+        // Render errors with the same markup the server-side validationErrors path produces,
+        // and announce them through the card's aria-live region
+        showValidationErrors(host, errors) {
+            this.clearValidationErrors(host);
 
-                const groupInputs = host.querySelectorAll(`[data-ac-group="${groupId}"]`);
-                const type = (groupInputs[0]?.getAttribute("type") || "").toLowerCase();
+            const announced = [];
+            Object.entries(errors || {}).forEach(([id, message]) => {
+                const field = findField(host, id);
+                if (!field) return;
 
-                if (type === "radio") {
-                    const checked = Array.from(groupInputs).find((i) => i.checked);
-                    // Use null explicitly when nothing is selected, ensuring it's properly serialized as JSON null
-                    formData[groupId] = checked ? (checked.value ?? "") : null;
-                } else if (type === "checkbox") {
-                    const vals = Array.from(groupInputs)
-                        .filter((i) => i.checked)
-                        .map((i) => i.value ?? "");
-                    formData[groupId] = vals.join(",");
+                field.classList.add("has-error");
+                field.setAttribute("data-field-error", "true");
+
+                let wrapper = field.parentElement;
+                if (!wrapper || !wrapper.classList.contains("ac-field-with-error")) {
+                    wrapper = el("div", "ac-field-with-error");
+                    field.parentNode.insertBefore(wrapper, field);
+                    wrapper.appendChild(field);
                 }
+                const messageNode = el("div", "ac-error-message", { text: message });
+                wrapper.appendChild(messageNode);
+                describeError(field, messageNode);
 
-                seenGroups.add(groupId);
+                const name = accessibleName(field);
+                announced.push(name ? `${name}: ${message}` : message);
             });
 
-            return formData;
+            if (announced.length) {
+                announce(host, `${t("validation.summary", { count: announced.length }, host)} ${announced[0]}`);
+            }
+        },
+
+        // Remove all error markers (client- and server-generated) from host
+        clearValidationErrors(host) {
+            host.querySelectorAll(".ac-field-with-error > .ac-error-message").forEach((msg) => msg.remove());
+            host.querySelectorAll(".has-error").forEach((node) => node.classList.remove("has-error"));
+            host.querySelectorAll("[data-field-error]").forEach((node) => node.removeAttribute("data-field-error"));
+            host.querySelectorAll("[aria-invalid]").forEach((node) => {
+                node.removeAttribute("aria-invalid");
+                node.removeAttribute("aria-describedby");
+            });
         },
 
         // Entry point used by the orchestrator
-        render(cardJson, container, onSubmit) {
+        // options (all optional):
+        //   onExecute(verb, data) → Promise<card|null>  Action.Execute / refresh handler
+        //   allowedHosts: string[]                      extra hosts Action.OpenUrl may open
+        //   skipRefresh: bool                           don't run the card's refresh action
+        //   hostConfig: object                          theme for this card (else setHostConfig's default)
+        //   onChoicesQuery(dataset, text, count) → Promise<{title, value}[]>  filtered ChoiceSet choices.data lookups
+        //   locale: string                              UI language, e.g. "es-MX" (else the card's lang, else setLocale's)
+        //   onDiagnostics(diagnostics)                  called with validateCard's findings when there are any
+        //   showDiagnostics: bool                       list those findings in an overlay on the card (dev mode)
+        //   onEdit(activityId)                          the user re-opened a reviewed card with its Edit button
+        render(cardJson, container, onSubmit, options) {
             if (!cardJson || !container) return;
-            container.innerHTML = "";
+            // Elements are built detached; until they join the container, it is their host (see hostOf)
+            const previousHost = activeHost;
+            activeHost = container;
+            try {
+                container.innerHTML = "";
 
-            // ✅ Read metadata for required flag
-            let isRequiredCard = false;
-            let activityId = null;
+                // Kept on the container so actions can reach per-render options at click time
+                const renderOptions = options || {};
+                container.acRenderOptions = renderOptions;
+                container.acWizard = null;
+                // A copy of the card as given (rendering annotates elements) and its submit callback, for update()
+                container.acCard = JSON.parse(JSON.stringify(cardJson));
+                container.acCardVersion = nextCardVersion();
+                container.acOnSubmit = onSubmit;
 
-            if (cardJson._metadata) {
-                activityId = cardJson._metadata.activityId || null;
-                isRequiredCard = cardJson._metadata.isRequired === true;
-            }
+                // THEME: HostConfig values become CSS custom properties on the container
+                container.acHostConfig = renderOptions.hostConfig || defaultHostConfig;
+                applyHostConfig(container, container.acHostConfig);
 
-            // ✅ Add CSS hook for required cards
-            if (isRequiredCard) {
-                container.classList.add("ac-required-card");
+                // LOCALE: built-in strings, number/date formats and the browser's own pickers follow the
+                // container's lang; handlers that run later read it back from there (see t)
+                container.acLocale = renderOptions.locale || cardJson.lang || localeCatalog().getLocale();
+                container.setAttribute("lang", container.acLocale);
 
-                // Add a subtle banner or visual indicator
-                const banner = document.createElement("div");
-                banner.className = "ac-required-banner";
-                banner.textContent = "⚠ This form must be completed before continuing";
-                container.appendChild(banner);
-            }
+                // ✅ Read metadata for required flag
+                let isRequiredCard = false;
+                let activityId = null;
+
+                if (cardJson._metadata) {
+                    activityId = cardJson._metadata.activityId || null;
+                    isRequiredCard = cardJson._metadata.isRequired === true;
+                }
+
+                // ✅ Review: a submission the server confirmed (_metadata.review) shows as a read-only summary
+                if (cardJson._metadata && cardJson._metadata.review === true) {
+                    this.review(container);
+                    return;
+                }
+
+                // ✅ Draft autosave: restore what the user typed into this activity's card before a
+                // reload/reconnect, and keep saving as they type (unless _metadata.autosave is false)
+                const autosave = !!activityId && !(cardJson._metadata && cardJson._metadata.autosave === false);
+                container.acDraft = autosave ? { activityId, sensitiveIds: sensitiveIdsOf(cardJson) } : null;
+                if (autosave) {
+                    const draft = loadDraft(activityId);
+                    if (draft) cardJson = applyDraft(cardJson, draft);
+                }
+
+                // ✅ Add CSS hook for required cards
+                if (isRequiredCard) {
+                    container.classList.add("ac-required-card");
+
+                    // Add a subtle banner or visual indicator
+                    const banner = document.createElement("div");
+                    banner.className = "ac-required-banner";
+                    banner.textContent = t("card.requiredBanner");
+                    container.appendChild(banner);
+                }
 
             
-            // Store validation errors for processing
-            const validationErrors = cardJson.validationErrors || {};
+                // Store validation errors for processing
+                const validationErrors = cardJson.validationErrors || {};
 
-            // BODY
-            if (Array.isArray(cardJson.body)) {
-                cardJson.body.forEach((element) => {
-                    const node = this.renderElement(element);
-                    
-                    // Apply validation errors if present
-                    if (element.id && validationErrors[element.id]) {
-                        const errorMsg = validationErrors[element.id];
-                        // Add error styling
-                        if (node.classList) {
-                            node.classList.add("has-error");
-                        }
-                        
-                        // Add error message
-                        const errorDiv = el("div", "ac-error-message", { text: errorMsg });
-                        const wrapper = el("div", "ac-field-with-error");
-                        wrapper.appendChild(node);
-                        wrapper.appendChild(errorDiv);
-                        container.appendChild(wrapper);
-                    } else {
-                        container.appendChild(node);
-                    }
-                });
+                // BODY
+                this.renderItems(cardJson.body, container, validationErrors);
+
+                // ACTIONS
+                this.renderActionSet(cardJson.actions, container, onSubmit);
+
+                // PAGING: top-level Containers with isPage become wizard steps
+                const pages = Array.from(container.querySelectorAll(":scope > .ac-wizard-page"));
+                if (pages.length) this.renderWizard(container, pages, validationErrors);
+
+                // CONDITIONS: visibleWhen is re-evaluated whenever any input in the card changes
+                this.applyConditions(container);
+                if (!container.acConditionsBound) {
+                    container.acConditionsBound = true;
+                    let saveTimer = null;
+                    const onChange = () => {
+                        Renderer.applyConditions(container);
+                        // Debounced draft save; acDraft is swapped on every render of this container
+                        clearTimeout(saveTimer);
+                        saveTimer = setTimeout(() => Renderer.saveDraft(container), DRAFT_SAVE_DELAY_MS);
+                    };
+                    container.addEventListener("input", onChange);
+                    container.addEventListener("change", onChange);
+                    container.addEventListener("click", onChange); // TagSelect chips don't fire change
+                }
+
+                // DIAGNOSTICS: schema problems go to the host (and the dev overlay), checked on the card as given
+                reportDiagnostics(container, container.acCard, renderOptions);
+
+                // REFRESH: Universal Actions cards may ask to be refreshed when displayed
+                const refreshAction = cardJson.refresh && cardJson.refresh.action;
+                if (refreshAction && !renderOptions.skipRefresh) {
+                    this.runExecute(container, refreshAction.verb, refreshAction.data || {}, onSubmit)
+                        .catch((err) => console.error("[AdaptiveCards] Card refresh failed:", err));
+                }
+            } finally {
+                activeHost = previousHost;
+            }
+        },
+
+        // Apply a new version of a rendered card — typically the server's reply with validationErrors —
+        // without starting over. Elements are matched by id: unchanged ones keep their DOM, changed
+        // ones are re-rendered one at a time, and error states are swapped in place. The user's entries
+        // (except values the server itself changed), focus and scroll position are kept. A card for
+        // another activity, or one whose layout changed, gets a full render (still keeping entries).
+        // onSubmit/options default to the ones the card was rendered with.
+        update(container, newCard, onSubmit, options) {
+            if (!newCard || !container) return;
+            const previous = container.acCard;
+            const submit = onSubmit || container.acOnSubmit;
+            const renderOptions = options || container.acRenderOptions || {};
+            if (!previous || activityIdOf(previous) !== activityIdOf(newCard)) {
+                this.render(newCard, container, submit, renderOptions);
+                return;
             }
 
-            // ACTIONS
-            if (Array.isArray(cardJson.actions) && cardJson.actions.length) {
-                const actionsDiv = el("div", "ac-actionSet");
-                cardJson.actions.forEach((action) => {
-                    const btn = this.renderAction(action, container, onSubmit);
-                    actionsDiv.appendChild(btn);
+            // User entries carry over unless the server sent a different value than last time
+            const serverChanged = changedValueIds(previous, newCard);
+            const kept = {};
+            Object.entries(this.collectInputs(container)).forEach(([id, v]) => {
+                if (!serverChanged.has(id)) kept[id] = v;
+            });
+            const focus = captureFocus(container);
+            const scroll = captureScroll(container);
+
+            // A different language re-renders everything; a new theme is only re-applied
+            const locale = renderOptions.locale || newCard.lang || localeCatalog().getLocale();
+            const changes = locale === container.getAttribute("lang") ? diffCard(previous, newCard) : null;
+            if (changes) {
+                container.acRenderOptions = renderOptions;
+                container.acOnSubmit = submit;
+                container.acHostConfig = renderOptions.hostConfig || defaultHostConfig;
+                applyHostConfig(container, container.acHostConfig);
+                withHost(container, () => {
+                    changes.rerender.forEach((element) => replaceElement(container, element, kept));
+                });
+                changes.visibility.forEach((element) => {
+                    const node = findById(container, element.id);
+                    if (node) setVisible(visibilityTarget(node), element.isVisible !== false);
                 });
-                container.appendChild(actionsDiv);
+                container.acCard = JSON.parse(JSON.stringify(newCard));
+                container.acCardVersion = nextCardVersion();
+                reportDiagnostics(container, container.acCard, renderOptions);
+                const errors = newCard.validationErrors || {};
+                this.showValidationErrors(container, errors);
+                // Like a fresh render, open the wizard page with the first error (unless the user is mid-entry)
+                const errorIds = Object.keys(errors);
+                if (!focus && errorIds.length) revealField(container, errorIds[0]);
+                this.applyConditions(container);
+                setTimeout(applyRequiredStyling, 0);
+            } else {
+                // The saved draft would win over the server's changes; the kept entries replace it.
+                // Refresh only runs again if the card now asks for a different one.
+                if (container.acDraft) this.clearDraft(container.acDraft.activityId);
+                const sameRefresh = JSON.stringify(previous.refresh) === JSON.stringify(newCard.refresh);
+                this.render(applyDraft(newCard, kept), container, submit, Object.assign({}, renderOptions, { skipRefresh: sameRefresh }));
+                container.acCard = JSON.parse(JSON.stringify(newCard));
+            }
+
+            restoreFocus(container, focus);
+            restoreScroll(scroll);
+        },
+
+        // Render a list of elements (card body, Container items, Column items) into a parent,
+        // applying spacing/separator and any server-side validation errors by element id.
+        // An input without its own label is named by the TextBlock directly above it.
+        // Any element with helpText/tooltip gets a help popover (see attachHelp).
+        renderItems(items, parent, validationErrors) {
+            if (!Array.isArray(items)) return;
+            const errors = validationErrors || {};
+            let labelSource = null;
+
+            items.forEach((element, index) => {
+                if (!element || typeof element !== "object") return;
+                const node = this.renderItem(element, { index, labelSource, validationErrors: errors });
+                labelSource = element.type === "TextBlock" && node.classList
+                    ? (node.querySelector(".ac-textBlock-label") || node)
+                    : null;
+                parent.appendChild(node);
+            });
+        },
+
+        // One entry of renderItems (also used by update to swap a single element in place).
+        // labelSource is the TextBlock node that names an input without its own label.
+        renderItem(element, { index = 0, labelSource = null, validationErrors = {} } = {}) {
+            let node = this.renderElement(element, validationErrors);
+            applyCommon(node, element);
+
+            if (isInputType(element.type)) {
+                labelInput(node, element, labelSource);
+            }
+            attachHelp(node, element, labelSource);
+
+            // Apply validation errors if present
+            if (element.id && validationErrors[element.id]) {
+                const errorMsg = validationErrors[element.id];
+                // Add error styling
+                if (node.classList) {
+                    node.classList.add("has-error");
+                }
+
+                // Add error message
+                const errorDiv = el("div", "ac-error-message", { text: errorMsg });
+                const wrapper = el("div", "ac-field-with-error");
+                wrapper.appendChild(node);
+                wrapper.appendChild(errorDiv);
+                if (node.classList) describeError(node, errorDiv);
+                node = wrapper;
             }
+
+            // First item never gets leading spacing/separator (matches AC behavior)
+            if (index > 0) applySpacing(node, element);
+            if (element.isVisible === false) setVisible(node, false);
+            applyVisibleWhen(node, element);
+            return node;
         },
 
-        // Dispatch to element renderers; supports basic fallback
-        renderElement(element) {
+        // Dispatch to the element registry; supports basic fallback
+        renderElement(element, validationErrors) {
             if (!element || typeof element !== "object") return el("div");
             
             // Process any common attributes for all input fields
-            if (element.id && element.type && element.type.startsWith("Input.")) {
+            if (element.id && isInputType(element.type)) {
                 // Mark required fields for processing in specific renderers
                 element._isRequired = element.isRequired === true;
             }
 
-            switch (element.type) {
-                case "TextBlock": return this.renderTextBlock(element);
-                case "Input.Text": return this.renderInputText(element);
-                case "Input.Number": return this.renderInputNumber(element);
-                case "Input.Date": return this.renderInputDate(element);
-                case "Input.ChoiceSet": return this.renderChoiceSet(element);
-                case "Input.Toggle": return this.renderInputToggle(element);
-                case "Input.TagSelect": return this.renderTagSelect(element);
-                default:
-                    // Fallback support if provided
-                    if (element.fallback) {
-                        try { return this.renderElement(element.fallback); }
-                        catch { /* ignore */ }
-                    }
-                    // Unknown types become inert comments (keeps DOM clean)
-                    return document.createComment(`Unsupported AC element: ${element.type}`);
+            const definition = elementRegistry.get(element.type);
+            if (definition) {
+                const node = definition.render(element, { renderer: this, validationErrors })
+                    || document.createComment(`Empty AC element: ${element.type}`);
+                // Inputs get their validation rules stamped on so collect/validate can find them
+                return typeof definition.collect === "function" ? annotateInput(node, element) : node;
+            }
+
+            // Fallback support if provided
+            if (element.fallback) {
+                try { return this.renderElement(element.fallback, validationErrors); }
+                catch { /* ignore */ }
+            }
+            // Unknown types become inert comments (keeps DOM clean)
+            return document.createComment(`Unsupported AC element: ${element.type}`);
+        },
+
+        // Add (or replace) an element type.
+        // definition: { render(element, context) → Node, collect?(field, context) → value, validate?(value, field) → message|null,
+        //               properties?: string[] }  (type-specific properties; when given, validateCard flags any others)
+        registerElement(type, definition) {
+            if (!type || typeof type !== "string" || !definition || typeof definition.render !== "function") {
+                console.error("[AdaptiveCards] registerElement needs a type name and a definition with render().");
+                return false;
+            }
+            elementRegistry.set(type, {
+                render: definition.render,
+                collect: typeof definition.collect === "function" ? definition.collect : null,
+                validate: typeof definition.validate === "function" ? definition.validate : null,
+                properties: Array.isArray(definition.properties) ? definition.properties : null
+            });
+            return true;
+        },
+
+        // Add (or replace) an action type; handler(action, { host, button, onSubmit, renderer }) runs on click.
+        // properties (optional) lists the type-specific ones, as for registerElement.
+        registerAction(type, handler, properties) {
+            if (!type || typeof type !== "string" || typeof handler !== "function") {
+                console.error("[AdaptiveCards] registerAction needs a type name and a handler function.");
+                return false;
+            }
+            actionRegistry.set(type, handler);
+            actionProperties.set(type, Array.isArray(properties) ? properties : null);
+            return true;
+        },
+
+        // Check a card against the schema subset this renderer supports: element and action types
+        // (against the registries), input ids, duplicate ids, unknown properties and version.
+        // Returns [{ severity: "error"|"warning", code, message, path, elementId }]; path is like "body[2].items[0]".
+        validateCard(cardJson) {
+            const check = { diagnostics: [], allIds: new Set(), targets: [] };
+            if (!cardJson || typeof cardJson !== "object" || Array.isArray(cardJson)) {
+                reportProblem(check, "error", "invalid-card", "", "Card JSON is not an object; nothing is rendered");
+                return check.diagnostics;
             }
+            if (cardJson.type != null && cardJson.type !== "AdaptiveCard") {
+                reportProblem(check, "error", "invalid-card", "type", `Card type is "${cardJson.type}", expected "AdaptiveCard"`);
+            }
+            checkVersion(cardJson.version, check);
+            checkCard(cardJson, "", check, new Map());
+
+            // Action.ToggleVisibility may point anywhere in the card, so targets are checked last
+            check.targets.forEach(({ id, path }) => {
+                if (!check.allIds.has(id)) {
+                    reportProblem(check, "warning", "unknown-target", path, `Action.ToggleVisibility target "${id}" is not in the card`, id);
+                }
+            });
+            return check.diagnostics;
+        },
+
+        // Dev overlay listing diagnostics at the top of a rendered card; an empty list removes it.
+        // Developer-facing, so not localized.
+        showDiagnostics(container, diagnostics) {
+            if (!container) return;
+            const previous = container.querySelector(":scope > .ac-diagnostics");
+            if (previous) previous.remove();
+            if (!Array.isArray(diagnostics) || !diagnostics.length) return;
+
+            const errorCount = diagnostics.filter((d) => d.severity === "error").length;
+            const warningCount = diagnostics.length - errorCount;
+            const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+            const overlay = el("div", "ac-diagnostics", { role: "note" });
+            overlay.appendChild(el("div", "ac-diagnostics-title", {
+                text: `Card diagnostics: ${plural(errorCount, "error")}, ${plural(warningCount, "warning")}`
+            }));
+            const list = el("ul", "ac-diagnostics-list");
+            diagnostics.forEach((d) => {
+                const item = el("li", `ac-diagnostics-item ac-diagnostics-${d.severity === "error" ? "error" : "warning"}`);
+                if (d.path) item.appendChild(el("code", "ac-diagnostics-path", { text: d.path }));
+                item.appendChild(document.createTextNode(` ${d.message}`));
+                list.appendChild(item);
+            });
+            overlay.appendChild(list);
+            container.insertBefore(overlay, container.firstChild);
         },
 
         // --- ELEMENTS ---
-        renderTextBlock({ text, size, weight, wrap, isSubtle, tooltip }) {
+        renderTextBlock(element) {
+            const { text, size, weight, color, wrap, isSubtle, horizontalAlignment } = element;
             const div = el("div", "ac-textBlock");
             if (weight === "Bolder" || size === "Large" || size === "Medium") {
                 div.classList.add("ac-header");
             }
+            // Size/color classes resolve to the HostConfig custom properties in adaptive-cards.css
+            const sizeName = String(size || "").toLowerCase();
+            if (TEXT_SIZES.includes(sizeName)) div.classList.add(`ac-text-size-${sizeName}`);
+            const colorName = String(color || "").toLowerCase();
+            if (TEXT_COLORS.includes(colorName)) div.classList.add(`ac-text-color-${colorName}`);
             if (wrap) div.style.whiteSpace = "normal";
-            if (isSubtle) div.style.opacity = "0.7";
+            if (isSubtle) div.classList.add("ac-subtle");
+            const alignName = String(horizontalAlignment || "").toLowerCase();
+            if (alignName === "center" || alignName === "right") div.style.textAlign = alignName;
             
-            // Check if text contains info icon (ⓘ) and handle tooltip
-            if (text && text.includes("ⓘ")) {
-                const parts = text.split("ⓘ");
-                const labelPart = parts[0].trim();
-                
-                // Create label span
-                const labelSpan = document.createElement("span");
-                labelSpan.textContent = labelPart;
-                div.appendChild(labelSpan);
-                
-                // Create info icon with tooltip
-                const infoIcon = document.createElement("span");
-                infoIcon.textContent = " ⓘ";
-                infoIcon.className = "ac-info-icon";
-                infoIcon.style.cursor = "pointer";
-                infoIcon.style.color = "#666";
-                infoIcon.style.marginLeft = "8px";
-                infoIcon.style.fontSize = "14px";
-                infoIcon.style.fontWeight = "normal";
-                
-                // Add tooltip functionality
-                let tooltipText = "";
-                const fieldName = labelPart.replace(/[🧑🗣️🌐📈🎯📅🔁📝🔗]/g, "").trim();
-                
-                // Define tooltips for each field
-                const tooltips = {
-                    "Lead Name": "Full name of the potential customer or prospect",
-                    "Preferred Language": "The language the customer prefers for communication (e.g., English, Spanish, French)",
-                    "Lead Source": "Where did this lead come from? Examples: Website form, Google Ads, Referral from friend, Social media, Phone call, Email campaign, Event/Conference",
-                    "Interest Level": "How interested is the customer? High = ready to buy soon, Medium = shopping around, Low = just browsing/researching",
-                    "Lead Intent": "What is the customer trying to do? Buy = ready to purchase, Compare = shopping different options, Learn = gathering information, Schedule = wants to talk to agent"
-                };
-                
-                tooltipText = tooltips[fieldName] || tooltip || "Additional information";
-                
-                // Create tooltip on hover
-                infoIcon.title = tooltipText;
-                
-                // Add click handler for mobile/touch devices
-                infoIcon.addEventListener('click', function(e) {
-                    e.preventDefault();
-                    alert(tooltipText);
-                });
-                
-                div.appendChild(infoIcon);
+            // With help (see attachHelp) the text sits in its own span so it alone names the input below
+            if (helpOf(element)) {
+                div.appendChild(el("span", "ac-textBlock-label", { text: text || "" }));
             } else {
                 div.textContent = text || "";
             }
@@ -254,7 +480,153 @@
             return div;
         },
 
-        renderInputText({ id, value, placeholder, text, style, isEnabled = true }) {
+        // --- LAYOUT ---
+        // Container: vertical stack of items with optional style/bleed/alignment
+        renderContainer(element, validationErrors) {
+            const div = el("div", "ac-container");
+            applyContainerStyle(div, element);
+            if (element.isPage === true) {
+                div.classList.add("ac-wizard-page");
+                if (element.pageTitle) div.setAttribute("data-page-title", element.pageTitle);
+            }
+            this.renderItems(element.items, div, validationErrors);
+            return div;
+        },
+
+        // ColumnSet: horizontal row of Columns
+        renderColumnSet(element, validationErrors) {
+            const div = el("div", "ac-columnSet");
+            applyContainerStyle(div, element);
+
+            (element.columns || []).forEach((column, index) => {
+                if (!column || typeof column !== "object") return;
+                const node = this.renderColumn(column, validationErrors);
+                applyCommon(node, column);
+                if (index > 0) applySpacing(node, column, true);
+                if (column.isVisible === false) setVisible(node, false);
+                applyVisibleWhen(node, column);
+                div.appendChild(node);
+            });
+            return div;
+        },
+
+        // Column: auto | stretch | weighted ("2", 2) | pixel ("80px") widths
+        renderColumn(element, validationErrors) {
+            const div = el("div", "ac-column");
+            applyContainerStyle(div, element);
+
+            const width = element.width;
+            if (width === "auto") {
+                div.style.flex = "0 0 auto";
+            } else if (width === undefined || width === null || width === "stretch") {
+                div.style.flex = "1 1 0";
+            } else if (typeof width === "string" && /^\d+px$/i.test(width.trim())) {
+                div.style.flex = `0 0 ${width.trim()}`;
+            } else {
+                const weight = Number(width);
+                div.style.flex = (weight > 0) ? `${weight} 1 0` : "1 1 0";
+            }
+            div.style.minWidth = "0"; // let long text wrap instead of overflowing siblings
+
+            this.renderItems(element.items, div, validationErrors);
+            return div;
+        },
+
+        // --- READ-BACK / SUMMARY ---
+        // FactSet: two-column "Title: value" list (styles in .ac-factset)
+        renderFactSet({ facts }) {
+            const div = el("div", "ac-factset");
+            (facts || []).forEach((fact) => {
+                if (!fact) return;
+                div.appendChild(el("div", "ac-factset-term", { text: fact.title ?? "" }));
+                div.appendChild(el("div", "ac-factset-value", { text: fact.value ?? "" }));
+            });
+            return div;
+        },
+
+        // Table (AC 1.5): columns define widths/alignment, rows hold TableCells with items.
+        // Cell alignment resolves cell → row → column → table, as in the AC spec.
+        renderTable(element, validationErrors) {
+            const columns = Array.isArray(element.columns) ? element.columns : [];
+            const rows = Array.isArray(element.rows) ? element.rows : [];
+            const firstRowAsHeader = element.firstRowAsHeader !== false;
+            const showGridLines = element.showGridLines !== false;
+
+            const wrap = el("div", "ac-table-container");
+            const table = el("table", "ac-table");
+            if (showGridLines) table.classList.add("ac-table-gridlines");
+            const gridStyle = typeof element.gridStyle === "string" ? element.gridStyle.toLowerCase() : "";
+            if (gridStyle && gridStyle !== "default") table.classList.add(`ac-table-grid-${gridStyle}`);
+
+            // Column widths: weights become percentages of the total weight, "NNpx" stays fixed
+            if (columns.length) {
+                const colgroup = el("colgroup");
+                const totalWeight = columns.reduce((sum, c) => {
+                    const w = Number(c?.width ?? 1);
+                    return sum + (Number.isFinite(w) && w > 0 ? w : 0);
+                }, 0);
+
+                columns.forEach((c) => {
+                    const col = el("col");
+                    const width = c?.width ?? 1;
+                    if (typeof width === "string" && /^\d+px$/i.test(width.trim())) {
+                        col.style.width = width.trim();
+                    } else {
+                        const w = Number(width);
+                        if (Number.isFinite(w) && w > 0 && totalWeight > 0) {
+                            col.style.width = `${(w / totalWeight) * 100}%`;
+                        }
+                    }
+                    colgroup.appendChild(col);
+                });
+                table.appendChild(colgroup);
+            }
+
+            const thead = el("thead");
+            const tbody = el("tbody");
+
+            rows.forEach((row, rowIndex) => {
+                if (!row) return;
+                const isHeader = firstRowAsHeader && rowIndex === 0;
+                const tr = el("tr", "ac-table-row");
+                const rowStyle = typeof row.style === "string" ? row.style.toLowerCase() : "";
+                if (rowStyle && rowStyle !== "default") tr.classList.add(`ac-style-${rowStyle}`);
+
+                (row.cells || []).forEach((cell, cellIndex) => {
+                    if (!cell) return;
+                    const column = columns[cellIndex] || {};
+                    const td = el(isHeader ? "th" : "td", "ac-table-cell", isHeader ? { scope: "col" } : null);
+
+                    const hAlign = cell.horizontalContentAlignment
+                        ?? row.horizontalCellContentAlignment
+                        ?? column.horizontalCellContentAlignment
+                        ?? element.horizontalCellContentAlignment;
+                    const vAlign = cell.verticalContentAlignment
+                        ?? row.verticalCellContentAlignment
+                        ?? column.verticalCellContentAlignment
+                        ?? element.verticalCellContentAlignment;
+                    if (hAlign) td.style.textAlign = String(hAlign).toLowerCase();
+                    td.style.verticalAlign = vAlign ? String(vAlign).toLowerCase().replace("center", "middle") : "top";
+
+                    const cellStyle = typeof cell.style === "string" ? cell.style.toLowerCase() : "";
+                    if (cellStyle && cellStyle !== "default") td.classList.add(`ac-style-${cellStyle}`);
+
+                    this.renderItems(cell.items, td, validationErrors);
+                    tr.appendChild(td);
+                });
+
+                (isHeader ? thead : tbody).appendChild(tr);
+            });
+
+            if (thead.childNodes.length) table.appendChild(thead);
+            table.appendChild(tbody);
+            wrap.appendChild(table);
+            return wrap;
+        },
+
+        // Text input: style tel/email/url/password picks the HTML input type, isMultiline renders
+        // a textarea, and mask (e.g. "(###) ###-####") formats while typing.
+        renderInputText({ id, value, placeholder, text, style, isMultiline, maxLength, mask, isEnabled = true }) {
             const wrap = el("div", "ac-input-container");
             let className = "ac-input ac-textInput";
             if (style === "error") {
@@ -263,14 +635,38 @@
 
             // Use 'text' property as placeholder if no explicit placeholder is provided
             const placeholderText = placeholder || text || "";
+            const textStyle = typeof style === "string" ? style.toLowerCase() : "";
+            const inputMask = (!isMultiline && typeof mask === "string" && mask) ? mask : null;
+
+            let input;
+            if (isMultiline) {
+                input = el("textarea", `${className} ac-multiline`, {
+                    id: id || "",
+                    placeholder: placeholderText,
+                    rows: 3
+                });
+            } else {
+                const typeInfo = TEXT_INPUT_STYLES[textStyle] || { type: "text" };
+                input = el("input", className, {
+                    type: inputMask ? "text" : typeInfo.type, // masks need free-form text so literals can be inserted
+                    id: id || "",
+                    placeholder: placeholderText || inputMask || "",
+                    inputmode: inputMask && /^[^A*]*$/.test(inputMask) ? "numeric" : typeInfo.inputmode,
+                    autocomplete: typeInfo.autocomplete
+                });
+            }
+
+            // Masked inputs are bounded by the mask itself; maxLength applies to the unmasked value
+            if (maxLength > 0 && !inputMask) input.maxLength = Number(maxLength);
+
+            if (inputMask) {
+                input.dataset.mask = inputMask;
+                input.value = applyMask(unmask(value == null ? "" : String(value), inputMask), inputMask);
+                input.addEventListener("input", () => reformatMasked(input, inputMask));
+            } else {
+                input.value = value || "";
+            }
 
-            const input = el("input", className, {
-                type: "text",
-                id: id || "",
-                placeholder: placeholderText
-            });
-            input.value = value || "";
-            
             if (isEnabled === false) {
                 input.disabled = true;
             }
@@ -279,8 +675,46 @@
             return wrap;
         },
 
-        renderInputNumber({ id, value, placeholder, min, max, step, isEnabled = true }) {
+        renderInputNumber({ id, value, placeholder, min, max, step, format, currency, locale, decimals, isEnabled = true }) {
             const wrap = el("div", "ac-input-container");
+
+            // Display formats (currency | percent | decimal) use a text box that groups digits while
+            // typing, clamps to min/max/step on blur and still submits a plain number.
+            const displayFormat = typeof format === "string" ? format.toLowerCase() : "";
+            if (NUMBER_FORMATS.includes(displayFormat)) {
+                const input = el("input", "ac-input ac-numberInput ac-formattedNumber", {
+                    type: "text",
+                    inputmode: "decimal",
+                    id: id || "",
+                    placeholder: placeholder || ""
+                });
+                input.dataset.numberFormat = displayFormat;
+                if (currency) input.dataset.currency = currency;
+                if (locale) input.dataset.locale = locale;
+                if (decimals !== undefined && decimals !== null) input.dataset.decimals = String(decimals);
+                if (min !== undefined && min !== null) input.dataset.min = String(min);
+                if (max !== undefined && max !== null) input.dataset.max = String(max);
+                if (step !== undefined && step !== null) input.dataset.step = String(step);
+
+                const fmt = numberFormatOf(input);
+                if (value !== undefined && value !== null && value !== "") {
+                    input.value = formatNumberValue(Number(value), fmt);
+                }
+
+                input.addEventListener("input", () => reformatNumberWhileTyping(input, fmt));
+                input.addEventListener("blur", () => {
+                    const raw = parseFormattedNumber(input.value, fmt);
+                    if (raw === "") { input.value = ""; return; }
+                    input.value = formatNumberValue(clampNumber(Number(raw), input.dataset), fmt);
+                });
+
+                if (isEnabled === false) {
+                    input.disabled = true;
+                }
+                wrap.appendChild(input);
+                return wrap;
+            }
+
             const input = el("input", "ac-input ac-numberInput", {
                 type: "number",
                 id: id || "",
@@ -309,11 +743,21 @@
                 input.disabled = true;
             }
             wrap.appendChild(input);
+
+            // The native picker formats in the browser's language; echo the date in the card's
+            const display = el("div", "ac-date-display");
+            const showDate = () => { display.textContent = formatDate(input.value, localeOf(input)); };
+            input.addEventListener("input", showDate);
+            input.addEventListener("change", showDate);
+            showDate();
+            wrap.appendChild(display);
             return wrap;
         },
 
-        // ChoiceSet: compact → <select>, expanded → radios (single) or checkboxes (multi)
-        renderChoiceSet({ id, choices, value, style, errorStyle, isMultiSelect, isEnabled = true, isRequired = false, _isRequired = false }) {
+        // ChoiceSet: compact → <select>, expanded → radios (single) or checkboxes (multi),
+        // filtered (or choices.data) → typeahead combobox
+        renderChoiceSet(element) {
+            const { id, choices, value, style, errorStyle, isMultiSelect, isEnabled = true, isRequired = false, _isRequired = false } = element;
             const wrap = el("div", "ac-input-container ac-choiceSetInput");
             // Handle both string values and null/undefined
             const vals = (value != null) ? String(value).split(",").filter(Boolean) : [];
@@ -333,9 +777,13 @@
                 wrap.setAttribute("data-field-error", "true");
             }
 
-            if (style === "expanded") {
+            if (style === "filtered" || element["choices.data"]) {
+                this.renderFilteredChoices(wrap, element);
+            } else if (style === "expanded") {
                 const isMulti = !!isMultiSelect;
-                const group = el("div", isMulti ? "ac-choiceSet-expanded-multi" : "ac-choiceSet-expanded");
+                const group = el("div", isMulti ? "ac-choiceSet-expanded-multi" : "ac-choiceSet-expanded", {
+                    role: isMulti ? "group" : "radiogroup"
+                });
                 (choices || []).forEach((c, idx) => {
                     const inputId = `${id || "choice"}_${idx}`;
                     const input = el("input", "ac-input", {
@@ -386,6 +834,167 @@
             return wrap;
         },
 
+        // Filtered ChoiceSet: an ARIA 1.2 combobox. The listbox shows static choices matching the typed
+        // text plus, for choices.data (Data.Query), the results of a debounced options.onChoicesQuery call.
+        // The input shows the picked choice's title; its data-value attribute holds the choice value.
+        renderFilteredChoices(wrap, element) {
+            const { id, choices, value, placeholder, isEnabled = true } = element;
+            const dataQuery = element["choices.data"];
+            const staticChoices = (Array.isArray(choices) ? choices : []).map(normalizeChoice).filter(Boolean);
+            const maxResults = dataQuery && Number(dataQuery.count) > 0 ? Number(dataQuery.count) : FILTERED_CHOICES_LIMIT;
+
+            wrap.classList.add("ac-choiceSet-filtered");
+            const listId = nextId("ac-listbox");
+            const input = el("input", "ac-input ac-combobox", {
+                type: "text",
+                id: id || "",
+                role: "combobox",
+                autocomplete: "off",
+                placeholder,
+                "aria-autocomplete": "list",
+                "aria-expanded": "false",
+                "aria-controls": listId
+            });
+            const list = el("ul", "ac-combobox-list", { id: listId, role: "listbox" });
+            list.hidden = true;
+            const status = el("div", "ac-combobox-status ac-live-region", { "aria-live": "polite" });
+
+            let results = [];
+            let active = -1;
+            let timer = null;
+            let querySeq = 0;
+
+            if (isEnabled === false) input.disabled = true;
+            if (value != null && value !== "") {
+                const known = staticChoices.find(c => c.value === String(value));
+                input.value = known ? known.title : String(value);
+                input.setAttribute("data-value", String(value));
+            }
+
+            const setActive = (index) => {
+                const options = list.querySelectorAll("[role='option']");
+                options.forEach((option, i) => option.setAttribute("aria-selected", String(i === index)));
+                active = index;
+                const option = options[index];
+                if (option) {
+                    input.setAttribute("aria-activedescendant", option.id);
+                    if (typeof option.scrollIntoView === "function") option.scrollIntoView({ block: "nearest" });
+                } else {
+                    input.removeAttribute("aria-activedescendant");
+                }
+            };
+
+            const close = () => {
+                list.hidden = true;
+                input.setAttribute("aria-expanded", "false");
+                setActive(-1);
+            };
+
+            const pick = (choice) => {
+                input.value = choice.title;
+                input.setAttribute("data-value", choice.value);
+                close();
+                // Lets visibleWhen, drafts and error clearing see the new value
+                input.dispatchEvent(new Event("change", { bubbles: true }));
+            };
+
+            const show = (items) => {
+                results = items.slice(0, maxResults);
+                list.innerHTML = "";
+                results.forEach((choice, i) => {
+                    const option = el("li", "ac-combobox-option", { id: `${listId}-${i}`, role: "option", "aria-selected": "false", text: choice.title });
+                    // mousedown (not click) so the input keeps focus and blur doesn't close the list first
+                    option.addEventListener("mousedown", (e) => {
+                        e.preventDefault();
+                        pick(choice);
+                    });
+                    list.appendChild(option);
+                });
+
+                const open = results.length > 0 && document.activeElement === input;
+                list.hidden = !open;
+                input.setAttribute("aria-expanded", String(open));
+                setActive(-1);
+                status.textContent = !input.value.trim() ? ""
+                    : results.length ? t("combobox.results", { count: results.length }, wrap) : t("combobox.noMatches", null, wrap);
+            };
+
+            const update = () => {
+                const text = input.value.trim();
+                const q = text.toLowerCase();
+                const local = staticChoices.filter(c => !q || c.title.toLowerCase().includes(q));
+                show(local);
+
+                clearTimeout(timer);
+                const seq = ++querySeq;
+                if (!dataQuery || !text) return;
+
+                timer = setTimeout(() => {
+                    const onChoicesQuery = renderOptionsOf(wrap).onChoicesQuery;
+                    if (typeof onChoicesQuery !== "function") {
+                        console.warn(`[AdaptiveCards] No onChoicesQuery handler; dataset "${dataQuery.dataset}" not queried.`);
+                        return;
+                    }
+                    wrap.classList.add("is-loading");
+                    Promise.resolve(onChoicesQuery(dataQuery.dataset, text, maxResults))
+                        .then((remote) => {
+                            if (seq !== querySeq) return; // a newer keystroke superseded this query
+                            const seen = new Set(local.map(c => c.value));
+                            const extra = (Array.isArray(remote) ? remote : []).map(normalizeChoice)
+                                .filter(c => c && !seen.has(c.value));
+                            show(local.concat(extra));
+                        })
+                        .catch((err) => console.error("[AdaptiveCards] Choices query failed:", err))
+                        .finally(() => {
+                            if (seq === querySeq) wrap.classList.remove("is-loading");
+                        });
+                }, CHOICES_QUERY_DELAY_MS);
+            };
+
+            input.addEventListener("input", () => {
+                // Editing the text un-picks the previous choice
+                input.removeAttribute("data-value");
+                update();
+            });
+
+            input.addEventListener("keydown", (e) => {
+                if (e.key === "ArrowDown") {
+                    e.preventDefault();
+                    if (list.hidden) update();
+                    else setActive(Math.min(active + 1, results.length - 1));
+                } else if (e.key === "ArrowUp") {
+                    e.preventDefault();
+                    if (!list.hidden) setActive(Math.max(active - 1, 0));
+                } else if (e.key === "Enter") {
+                    if (!list.hidden && results[active]) {
+                        e.preventDefault();
+                        pick(results[active]);
+                    }
+                } else if (e.key === "Escape") {
+                    if (!list.hidden) {
+                        e.preventDefault();
+                        close();
+                    }
+                }
+            });
+
+            input.addEventListener("blur", () => {
+                clearTimeout(timer);
+                querySeq += 1;
+                // Typed text that exactly matches a choice counts as picking it
+                if (!input.hasAttribute("data-value") && input.value.trim()) {
+                    const text = input.value.trim().toLowerCase();
+                    const match = results.concat(staticChoices).find(c => c.title.toLowerCase() === text);
+                    if (match) pick(match);
+                }
+                close();
+            });
+
+            wrap.appendChild(input);
+            wrap.appendChild(list);
+            wrap.appendChild(status);
+        },
+
         // Toggle (checkbox) with valueOn/valueOff mapping
         renderInputToggle({ id, title, text, value, valueOn, valueOff, isEnabled = true }) {
             const wrap = el("div", "ac-input-container ac-toggleInput");
@@ -417,187 +1026,2216 @@
             const label = el("label", "ac-toggle-label", { for: id || "" });
             label.textContent = labelText;
 
-            // Add some basic styling for better visibility
-            label.style.marginLeft = "8px";
-            label.style.cursor = "pointer";
-            label.style.userSelect = "none";
-
             wrap.appendChild(input);
             wrap.appendChild(label);
             return wrap;
         },
 
-        // TagSelect: Single-select chips with optional custom input
+        // TagSelect: chips with optional custom entries.
+        // Single-select chips form a radiogroup and the custom text replaces the selection; with
+        // isMultiSelect they are checkboxes (up to maxSelections) and each custom entry becomes its own chip.
+        // Roving tabindex: arrows move focus, Space/Enter select. The first visibleCount chips show before
+        // "+N more"; a search box filters long lists (isSearchable, on by default past TAG_SEARCH_THRESHOLD).
         renderTagSelect(element) {
-            const { id, choices, value, allowCustom, customPlaceholder, isEnabled = true } = element;
+            const { id, choices, value, allowCustom, customPlaceholder, isMultiSelect, maxSelections,
+                visibleCount, isSearchable, isEnabled = true } = element;
+            const isMulti = isMultiSelect === true;
             const shouldAllowCustom = allowCustom === true;
-            const placeholder = customPlaceholder || "Or enter other...";
-            const maxVisible = 3; // Show only 3 chips initially
+            const placeholder = customPlaceholder || t("tagSelect.customPlaceholder");
+            const options = Array.isArray(choices) ? choices : [];
+            const maxVisible = Number(visibleCount) > 0 ? Number(visibleCount) : 3; // chips shown before "+N more"
+            const limit = isMulti && Number(maxSelections) > 0 ? Number(maxSelections) : Infinity;
+            const searchable = isSearchable != null ? isSearchable === true : options.length > TAG_SEARCH_THRESHOLD;
+            const initial = tagValues(value, isMulti);
             
             const wrap = el("div", "ac-input-container ac-tagSelect");
             const group = el("div", "ac-tagSelect-group");
             group.setAttribute("data-tag-select-id", id || "");
+            if (isMulti) group.setAttribute("data-multi-select", "true");
             
-            // Disable entire group if isEnabled is false
+            // Disable entire group if isEnabled is false (styled by .ac-tagSelect.disabled)
             if (isEnabled === false) {
                 wrap.classList.add("disabled");
-                wrap.style.pointerEvents = "none";
-                wrap.style.opacity = "0.6";
             }
             
             // Chips container
-            const chipsContainer = el("div", "ac-tagSelect-chips");
-            
-            // Create chips for predefined choices
-            if (Array.isArray(choices)) {
-                choices.forEach((choice, index) => {
-                    const chip = el("div", "ac-tag-chip");
-                    chip.textContent = choice.title || choice.value;
-                    chip.setAttribute("data-value", choice.value);
-                    
-                    // Hide chips beyond the limit
-                    if (index >= maxVisible) {
-                        chip.classList.add("hidden");
-                    }
-                    
-                    // Set initial selection
-                    if (choice.value === value) {
-                        chip.classList.add("selected");
-                    }
-                    
-                    // Click handler for single selection
-                    chip.addEventListener("click", () => {
-                        // Deselect all other chips in this group
-                        group.querySelectorAll(".ac-tag-chip").forEach(c => c.classList.remove("selected"));
-                        // Select this chip
-                        chip.classList.add("selected");
-                        
-                        // Clear custom input if allowCustom
-                        if (shouldAllowCustom) {
-                            const customInput = group.querySelector(".ac-tagSelect-custom");
-                            if (customInput) {
-                                customInput.value = "";
-                            }
-                        }
-                    });
-                    
-                    chipsContainer.appendChild(chip);
-                });
-                
-                // Add "Show More" button if there are hidden chips
-                if (choices.length > maxVisible) {
-                    const showMoreBtn = el("div", "ac-show-more-btn");
-                    const hiddenCount = choices.length - maxVisible;
-                    showMoreBtn.textContent = `+${hiddenCount} more`;
-                    
-                    let isExpanded = false;
-                    
-                    showMoreBtn.addEventListener("click", () => {
-                        const hiddenChips = chipsContainer.querySelectorAll(".ac-tag-chip.hidden");
-                        
-                        if (!isExpanded) {
-                            // Show all chips
-                            hiddenChips.forEach(chip => chip.classList.remove("hidden"));
-                            showMoreBtn.textContent = "Show less";
-                            isExpanded = true;
-                        } else {
-                            // Hide extra chips again
-                            const allChips = chipsContainer.querySelectorAll(".ac-tag-chip");
-                            allChips.forEach((chip, index) => {
-                                if (index >= maxVisible) {
-                                    chip.classList.add("hidden");
-                                }
-                            });
-                            showMoreBtn.textContent = `+${hiddenCount} more`;
-                            isExpanded = false;
-                        }
-                    });
-                    
-                    chipsContainer.appendChild(showMoreBtn);
-                }
-            }
-            
-            group.appendChild(chipsContainer);
-            
-            // Add custom text input if allowCustom
-            if (shouldAllowCustom) {
-                const customInput = el("input", "ac-tagSelect-custom", {
-                    type: "text",
-                    placeholder: placeholder
-                });
-                
-                if (isEnabled === false) {
-                    customInput.disabled = true;
-                }
-                
-                // If current value is not in choices, put it in custom input
-                const hasMatchingChoice = choices && choices.some(choice => choice.value === value);
-                if (value && !hasMatchingChoice) {
-                    customInput.value = value;
-                }
-                
-                // Clear chips when typing in custom input
-                customInput.addEventListener("input", () => {
-                    if (customInput.value.trim()) {
-                        group.querySelectorAll(".ac-tag-chip").forEach(c => c.classList.remove("selected"));
-                    }
-                });
-                
-                group.appendChild(customInput);
-            }
-            
-            wrap.appendChild(group);
-            return wrap;
-        },
+            const chipsContainer = el("div", "ac-tagSelect-chips", { role: isMulti ? "group" : "radiogroup", id: nextId("ac-tags") });
+            if (isEnabled === false) chipsContainer.setAttribute("aria-disabled", "true");
 
-        renderAction({ type, title, style, data }, onSubmit) {
-            if (type === 'Action.Submit') {
-                const button = document.createElement('button');
-                let className = 'ac-pushButton';
-                if (style === 'positive') className += ' positive';
-                if (style === 'destructive') className += ' destructive';
-                if (style === 'secondary') className += ' ac-secondary';
-                button.className = className;
-                button.textContent = title || 'Submit';
+            const allChips = () => Array.from(chipsContainer.querySelectorAll(".ac-tag-chip"));
+            const visibleChips = () => allChips().filter(c => !c.classList.contains("hidden"));
+            const selectedChips = () => allChips().filter(c => c.classList.contains("selected"));
 
-                button.addEventListener('click', () => {
-                    button.disabled = true;
-                    button.classList.add('is-busy');
+            let expanded = false;
+            let query = "";
+            let searchInput = null;
+            let customInput = null;
+            let showMoreBtn = null;
+            const emptyNote = el("div", "ac-tagSelect-empty", { text: t("tagSelect.noMatches") });
+            emptyNote.hidden = true;
 
-                    try {
-                        // 🟢 Use collectInputs instead of manual query
-                        const host = button.closest('.adaptive-card-host') || document;
-                        const formData = Renderer.collectInputs(host);
+            // Exactly one visible chip is reachable with Tab: the (first) selected one, else the first
+            const syncTabStop = () => {
+                const visible = visibleChips();
+                const stop = visible.find(c => c.classList.contains("selected")) || visible[0];
+                allChips().forEach(c => c.setAttribute("tabindex", c === stop && isEnabled !== false ? "0" : "-1"));
+            };
 
-                        // merge static action data
-                        if (data) {
-                            Object.assign(formData, data);
-                        }
+            // Apply search, the "+N more" fold and the selection limit to every chip.
+            // Selected and custom chips are never folded away.
+            const refresh = () => {
+                const q = query.trim().toLowerCase();
+                const atLimit = selectedChips().length >= limit;
+                let folded = 0;
+                let matches = 0;
 
-                        // callback
-                        if (typeof onSubmit === 'function') {
-                            onSubmit(formData);
-                        }
+                allChips().forEach((chip) => {
+                    const isSelected = chip.classList.contains("selected");
+                    const isMatch = !q || chip.textContent.toLowerCase().includes(q);
+                    const isOverflow = !chip.classList.contains("ac-tag-chip-custom") && !isSelected &&
+                        Number(chip.getAttribute("data-index")) >= maxVisible;
+                    if (isOverflow) folded += 1;
+                    if (isMatch) matches += 1;
+                    chip.classList.toggle("hidden", !isMatch || (!q && !expanded && isOverflow));
 
-                        // Blazor interop
-                        const wrapper = host?.parentElement;
-                        if (wrapper && wrapper.dotNetHelper && typeof wrapper.dotNetHelper.invokeMethodAsync === 'function') {
-                            console.debug("[AdaptiveCards] Invoking Blazor OnCardSubmit from renderAction", formData);
-                            wrapper.dotNetHelper.invokeMethodAsync('OnCardSubmit', formData);
+                    const isBlocked = atLimit && !isSelected;
+                    chip.classList.toggle("is-blocked", isBlocked);
+                    if (isBlocked) chip.setAttribute("aria-disabled", "true");
+                    else chip.removeAttribute("aria-disabled");
+                });
+
+                if (showMoreBtn) {
+                    showMoreBtn.hidden = !!q || folded === 0;
+                    showMoreBtn.textContent = expanded ? t("tagSelect.showLess", null, wrap) : t("tagSelect.showMore", { count: folded }, wrap);
+                    showMoreBtn.setAttribute("aria-expanded", String(expanded));
+                }
+                emptyNote.hidden = !q || matches > 0;
+                if (customInput && isMulti) customInput.disabled = isEnabled === false || atLimit;
+                syncTabStop();
+            };
+
+            const setChecked = (chip, isSelected) => {
+                chip.classList.toggle("selected", isSelected);
+                chip.setAttribute("aria-checked", String(isSelected));
+            };
+
+            const makeChip = (chipValue, title, index) => {
+                const chip = el("div", "ac-tag-chip", { role: isMulti ? "checkbox" : "radio", "aria-checked": "false", tabindex: "-1" });
+                chip.textContent = title;
+                chip.setAttribute("data-value", chipValue);
+                if (index === null) chip.classList.add("ac-tag-chip-custom");
+                else chip.setAttribute("data-index", String(index));
+                return chip;
+            };
+
+            const toggleChip = (chip) => {
+                if (!isMulti) {
+                    allChips().forEach(c => setChecked(c, c === chip));
+                    // Picking a chip replaces any custom text
+                    if (customInput) customInput.value = "";
+                } else if (chip.classList.contains("selected")) {
+                    // Deselecting a custom entry removes it
+                    if (chip.classList.contains("ac-tag-chip-custom")) {
+                        chip.remove();
+                        if (customInput) customInput.focus();
+                    } else {
+                        setChecked(chip, false);
+                    }
+                } else if (selectedChips().length < limit) {
+                    setChecked(chip, true);
+                }
+                refresh();
+            };
+
+            // Multi-select: each comma-separated entry becomes (or selects) a chip
+            const addCustomEntries = (text) => {
+                String(text).split(",").map(s => s.trim()).filter(Boolean).forEach((entry) => {
+                    const existing = allChips().find(c => c.getAttribute("data-value").toLowerCase() === entry.toLowerCase());
+                    if (existing) {
+                        if (!existing.classList.contains("selected")) toggleChip(existing);
+                        return;
+                    }
+                    if (selectedChips().length >= limit) return;
+                    const chip = makeChip(entry, entry, null);
+                    setChecked(chip, true);
+                    chipsContainer.appendChild(chip);
+                });
+                refresh();
+            };
+            
+            // Create chips for predefined choices
+            options.forEach((choice, index) => {
+                const chip = makeChip(choice.value, choice.title || choice.value, index);
+                if (initial.includes(choice.value) && (!isMulti || selectedChips().length < limit)) {
+                    setChecked(chip, true);
+                }
+                chipsContainer.appendChild(chip);
+            });
+
+            chipsContainer.addEventListener("click", (e) => {
+                const chip = e.target.closest(".ac-tag-chip");
+                if (chip && isEnabled !== false && !chip.classList.contains("is-blocked")) toggleChip(chip);
+            });
+
+            chipsContainer.addEventListener("keydown", (e) => {
+                const chip = e.target.closest(".ac-tag-chip");
+                if (!chip || isEnabled === false) return;
+
+                if (e.key === " " || e.key === "Enter") {
+                    e.preventDefault();
+                    chip.click();
+                    return;
+                }
+
+                const visible = visibleChips();
+                const at = visible.indexOf(chip);
+                let next = null;
+                if (e.key === "ArrowRight" || e.key === "ArrowDown") next = visible[(at + 1) % visible.length];
+                else if (e.key === "ArrowLeft" || e.key === "ArrowUp") next = visible[(at - 1 + visible.length) % visible.length];
+                else if (e.key === "Home") next = visible[0];
+                else if (e.key === "End") next = visible[visible.length - 1];
+                if (!next) return;
+
+                e.preventDefault();
+                allChips().forEach(c => c.setAttribute("tabindex", c === next ? "0" : "-1"));
+                next.focus();
+            });
+
+            // Type-to-filter box for long lists; ArrowDown jumps into the matches
+            if (searchable) {
+                searchInput = el("input", "ac-tagSelect-search", {
+                    type: "search",
+                    placeholder: t("tagSelect.searchPlaceholder"),
+                    "aria-label": t("tagSelect.searchLabel"),
+                    "aria-controls": chipsContainer.id
+                });
+                if (isEnabled === false) searchInput.disabled = true;
+                searchInput.addEventListener("input", () => {
+                    query = searchInput.value;
+                    refresh();
+                });
+                searchInput.addEventListener("keydown", (e) => {
+                    if (e.key !== "ArrowDown") return;
+                    const first = visibleChips()[0];
+                    if (!first) return;
+                    e.preventDefault();
+                    allChips().forEach(c => c.setAttribute("tabindex", c === first ? "0" : "-1"));
+                    first.focus();
+                });
+                group.appendChild(searchInput);
+            }
+
+            if (limit !== Infinity) {
+                const hint = el("div", "ac-tagSelect-hint", { id: nextId("ac-tags-hint"), text: t("tagSelect.limitHint", { max: limit }) });
+                chipsContainer.setAttribute("aria-describedby", hint.id);
+                group.appendChild(hint);
+            }
+            
+            group.appendChild(chipsContainer);
+            group.appendChild(emptyNote);
+
+            // Add "Show More" button if there are folded chips (kept outside the chip group)
+            if (options.length > maxVisible) {
+                showMoreBtn = el("button", "ac-show-more-btn", {
+                    type: "button",
+                    "aria-expanded": "false",
+                    "aria-controls": chipsContainer.id
+                });
+                if (isEnabled === false) showMoreBtn.disabled = true;
+                showMoreBtn.addEventListener("click", () => {
+                    expanded = !expanded;
+                    refresh();
+                });
+                group.appendChild(showMoreBtn);
+            }
+            
+            // Add custom text input if allowCustom
+            if (shouldAllowCustom) {
+                customInput = el("input", "ac-tagSelect-custom", {
+                    type: "text",
+                    placeholder: placeholder,
+                    "aria-label": placeholder
+                });
+                
+                if (isEnabled === false) {
+                    customInput.disabled = true;
+                }
+                
+                // Values not among the choices are custom entries
+                const customValues = initial.filter(v => !options.some(choice => choice.value === v));
+                if (isMulti) {
+                    addCustomEntries(customValues.join(","));
+
+                    // Enter or "," commits the typed entry; leaving the box keeps what was typed
+                    customInput.addEventListener("keydown", (e) => {
+                        if (e.key !== "Enter" && e.key !== ",") return;
+                        e.preventDefault();
+                        addCustomEntries(customInput.value);
+                        customInput.value = "";
+                    });
+                    customInput.addEventListener("blur", () => {
+                        if (!customInput.value.trim()) return;
+                        addCustomEntries(customInput.value);
+                        customInput.value = "";
+                    });
+                } else {
+                    if (customValues.length) customInput.value = customValues[0];
+
+                    // Clear chips when typing in custom input
+                    customInput.addEventListener("input", () => {
+                        if (customInput.value.trim()) {
+                            allChips().forEach(c => setChecked(c, false));
+                            refresh();
+                        }
+                    });
+                }
+                
+                group.appendChild(customInput);
+            }
+
+            refresh();
+            wrap.appendChild(group);
+            return wrap;
+        },
+
+        // Render an action row plus the inline panels for any Action.ShowCard in it.
+        // Only one ShowCard per action set is expanded at a time (AC behavior).
+        renderActionSet(actions, container, onSubmit) {
+            if (!Array.isArray(actions) || !actions.length) return;
+
+            // HostConfig actions.maxActions: extra actions are dropped, as in the AC SDK
+            const host = hostOf(container);
+            const hostConfig = host && host.acHostConfig;
+            const maxActions = Number(hostConfig && hostConfig.actions && hostConfig.actions.maxActions);
+            if (maxActions > 0 && actions.length > maxActions) {
+                console.warn(`[AdaptiveCards] Card has ${actions.length} actions; HostConfig allows ${maxActions}.`);
+                actions = actions.slice(0, maxActions);
+            }
+
+            const actionsDiv = el("div", "ac-actionSet");
+            const showCardsDiv = el("div", "ac-showCard-host");
+            const showCards = [];
+
+            actions.forEach((action) => {
+                if (!action) return;
+                const btn = this.renderAction(action, onSubmit);
+                actionsDiv.appendChild(btn);
+
+                if (action.type === "Action.ShowCard") {
+                    const panel = this.renderShowCard(action, onSubmit);
+                    btn.setAttribute("aria-expanded", "false");
+                    btn.setAttribute("aria-controls", panel.id);
+                    showCards.push({ btn, panel });
+                    showCardsDiv.appendChild(panel);
+
+                    btn.addEventListener("click", () => {
+                        const expand = panel.hidden;
+                        showCards.forEach((sc) => {
+                            setVisible(sc.panel, false);
+                            sc.btn.setAttribute("aria-expanded", "false");
+                            sc.btn.classList.remove("expanded");
+                        });
+                        if (expand) {
+                            setVisible(panel, true);
+                            btn.setAttribute("aria-expanded", "true");
+                            btn.classList.add("expanded");
                         }
-                    } catch (err) {
-                        console.error("Submit error:", err);
-                    } finally {
-                        button.disabled = false;
-                        button.classList.remove('is-busy');
+                    });
+                }
+            });
+
+            container.appendChild(actionsDiv);
+            if (showCards.length) container.appendChild(showCardsDiv);
+        },
+
+        // Inline nested card for Action.ShowCard; its inputs live inside the same
+        // .adaptive-card-host, so they join the parent's payload while expanded.
+        renderShowCard({ card }, onSubmit) {
+            const panel = el("div", "ac-showCard", { id: nextId("ac-showcard") });
+            setVisible(panel, false);
+            if (card && typeof card === "object") {
+                this.renderItems(card.body, panel, card.validationErrors);
+                this.renderActionSet(card.actions, panel, onSubmit);
+            }
+            return panel;
+        },
+
+        // Show/hide every element with a visibleWhen condition based on the current input values.
+        // Hidden inputs drop out of collectInputs, so dependent conditions are re-checked until stable.
+        applyConditions(host) {
+            const nodes = Array.from(host.querySelectorAll("[data-ac-visible-when]"));
+            if (!nodes.length) return;
+
+            for (let pass = 0; pass < 5; pass++) {
+                const values = this.collectInputs(host, { flat: true });
+                let changed = false;
+
+                nodes.forEach((node) => {
+                    let condition;
+                    try {
+                        condition = JSON.parse(node.getAttribute("data-ac-visible-when"));
+                    } catch {
+                        return;
+                    }
+                    const target = visibilityTarget(node);
+                    const visible = evaluateCondition(condition, values);
+                    if (target.hidden === visible) {
+                        setVisible(target, visible);
+                        changed = true;
+                    }
+                });
+
+                if (!changed) return;
+            }
+        },
+
+        // Wizard mode: show one page at a time with Back/Next, a step progress bar and per-page
+        // validation. Inactive pages are only hidden with CSS (not [hidden]) so their inputs still
+        // join the single final submit; card actions appear on the last page only.
+        renderWizard(container, pages, validationErrors) {
+            const actionNodes = Array.from(container.querySelectorAll(":scope > .ac-actionSet, :scope > .ac-showCard-host"));
+            let current = 0;
+
+            // Progress: bar + numbered steps
+            const progress = el("div", "ac-wizard-progress");
+            const bar = el("div", "ac-wizard-progress-bar", { role: "progressbar", "aria-valuemin": 1, "aria-valuemax": pages.length });
+            const fill = el("div", "ac-wizard-progress-fill");
+            bar.appendChild(fill);
+            const steps = el("ol", "ac-wizard-steps");
+            pages.forEach((page, i) => {
+                const step = el("li", "ac-wizard-step");
+                step.appendChild(el("span", "ac-wizard-step-number", { text: i + 1 }));
+                step.appendChild(el("span", "ac-wizard-step-title", { text: page.getAttribute("data-page-title") || t("wizard.stepTitle", { step: i + 1 }) }));
+                steps.appendChild(step);
+            });
+            const status = el("div", "ac-wizard-status", { "aria-live": "polite" });
+            progress.appendChild(bar);
+            progress.appendChild(steps);
+            progress.appendChild(status);
+            pages[0].parentNode.insertBefore(progress, pages[0]);
+
+            // Navigation
+            const nav = el("div", "ac-wizard-nav");
+            const back = el("button", "ac-pushButton ac-secondary ac-wizard-back", { type: "button" });
+            back.textContent = t("wizard.back");
+            const next = el("button", "ac-pushButton ac-wizard-next", { type: "button" });
+            next.textContent = t("wizard.next");
+            nav.appendChild(back);
+            nav.appendChild(next);
+            pages[pages.length - 1].parentNode.insertBefore(nav, pages[pages.length - 1].nextSibling);
+
+            const goTo = (index, focus) => {
+                current = Math.max(0, Math.min(pages.length - 1, index));
+                const isLast = current === pages.length - 1;
+
+                pages.forEach((page, i) => page.classList.toggle("ac-wizard-page-inactive", i !== current));
+                Array.from(steps.children).forEach((step, i) => {
+                    step.classList.toggle("active", i === current);
+                    step.classList.toggle("complete", i < current);
+                    if (i === current) step.setAttribute("aria-current", "step");
+                    else step.removeAttribute("aria-current");
+                });
+
+                fill.style.width = `${((current + 1) / pages.length) * 100}%`;
+                bar.setAttribute("aria-valuenow", current + 1);
+                const title = pages[current].getAttribute("data-page-title");
+                status.textContent = t(title ? "wizard.statusWithTitle" : "wizard.status",
+                    { step: current + 1, total: pages.length, title }, container);
+
+                back.hidden = current === 0;
+                next.hidden = isLast;
+                actionNodes.forEach((node) => node.classList.toggle("ac-wizard-page-inactive", !isLast));
+
+                if (focus) {
+                    const first = pages[current].querySelector("input:not([type='hidden']), select, textarea");
+                    if (first) first.focus();
+                }
+            };
+
+            back.addEventListener("click", () => goTo(current - 1, true));
+            next.addEventListener("click", () => {
+                if (!this.validateAndReport(pages[current])) return;
+                goTo(current + 1, true);
+            });
+
+            container.acWizard = {
+                goTo,
+                // Jump to the page holding node (used when final validation fails on an earlier page)
+                showPageOf(node) {
+                    const index = pages.findIndex((page) => page.contains(node));
+                    if (index >= 0 && index !== current) goTo(index, false);
+                }
+            };
+
+            // Open on the first page with a server-side error, otherwise the first page
+            const errorIds = Object.keys(validationErrors || {});
+            const errorPage = pages.findIndex((page) => errorIds.some((id) =>
+                Array.from(page.querySelectorAll("[data-ac-id]")).some((n) => n.getAttribute("data-ac-id") === id)));
+            goTo(errorPage >= 0 ? errorPage : 0, false);
+        },
+
+        // Persist the card's current (non-sensitive) input values for its activity
+        saveDraft(container) {
+            const draft = container && container.acDraft;
+            if (!draft) return;
+            const values = stripSensitive(this.collectInputs(container), draft.sensitiveIds);
+            writeDraft(draft.activityId, values);
+        },
+
+        // Lock a rendered card into its review state: a compact read-only "label: answer" summary,
+        // with an Edit button that re-opens the form when options.allowEdit is set — only for hosts whose
+        // onEdit puts the card's activity back to waiting for input. Answers are what this container last
+        // submitted for the card's activity, else the input values in the card itself.
+        review(container, options) {
+            const card = container && container.acCard;
+            if (!card) return false;
+            const settings = options || {};
+            const metadata = card._metadata || {};
+            const activityId = metadata.activityId || null;
+            const submitted = container.acSubmitted && container.acSubmitted.activityId === activityId
+                ? container.acSubmitted.values
+                : null;
+            const answers = submitted || inputValuesOf(card);
+            const allowEdit = settings.allowEdit === true;
+            // Remembered on the stored card, so update() sees the locked state like a server-sent one
+            card._metadata = Object.assign({}, metadata, { review: true });
+
+            // Nothing left to autosave or resume
+            this.clearDraft(activityId);
+            container.acDraft = null;
+            container.acWizard = null;
+            container.innerHTML = "";
+            container.classList.remove("ac-required-card");
+
+            const wrap = el("div", "ac-review", { role: "group" });
+            const header = el("div", "ac-review-header");
+            const status = el("span", "ac-review-status", { id: nextId("ac-review"), text: t("review.submitted", null, container) });
+            wrap.setAttribute("aria-labelledby", status.id);
+            header.appendChild(status);
+
+            if (allowEdit) {
+                const editBtn = el("button", "ac-pushButton ac-secondary ac-review-edit", { type: "button", text: t("review.edit", null, container) });
+                editBtn.addEventListener("click", () => this.reopen(container, answers));
+                header.appendChild(editBtn);
+            }
+            wrap.appendChild(header);
+            wrap.appendChild(this.renderFactSet({ facts: reviewFacts(card, answers, container) }));
+            container.appendChild(wrap);
+            return true;
+        },
+
+        // Edit from the review state: render the form again with the answers filled in
+        reopen(container, answers) {
+            const card = JSON.parse(JSON.stringify(container.acCard));
+            const metadata = card._metadata || {};
+            delete metadata.review;
+            const renderOptions = container.acRenderOptions || {};
+            this.render(applyDraft(card, answers || {}), container, container.acOnSubmit, Object.assign({}, renderOptions, { skipRefresh: true }));
+
+            const first = container.querySelector("[data-field-id]");
+            if (first) focusField(container, first.getAttribute("data-field-id"));
+            if (typeof renderOptions.onEdit === "function") {
+                try {
+                    renderOptions.onEdit(metadata.activityId || null);
+                } catch (err) {
+                    console.error("[AdaptiveCards] onEdit failed:", err);
+                }
+            }
+        },
+
+        // Forget the saved draft for an activity (called after a successful submit)
+        clearDraft(activityId) {
+            if (!activityId) return;
+            try {
+                window.sessionStorage.removeItem(DRAFT_PREFIX + activityId);
+            } catch { /* storage unavailable */ }
+        },
+
+        // Run validation for an action and render any errors; false means "don't send"
+        validateAndReport(host) {
+            const errors = this.validateInputs(host);
+            this.showValidationErrors(host, errors);
+            const invalidIds = Object.keys(errors);
+            if (invalidIds.length) {
+                revealField(host, invalidIds[0]);
+                focusField(host, invalidIds[0]);
+                return false;
+            }
+            return true;
+        },
+
+        // Send an Action.Execute (or refresh) through options.onExecute. A card returned by
+        // the handler replaces the current one; the replacement doesn't refresh again.
+        async runExecute(host, verb, data, onSubmit) {
+            const options = (host && host.acRenderOptions) || {};
+            if (typeof options.onExecute !== "function") {
+                console.warn("[AdaptiveCards] Action.Execute ignored: no onExecute handler", verb, data);
+                return;
+            }
+
+            let nextCard = await options.onExecute(verb || "", data || {});
+            if (typeof nextCard === "string" && nextCard.trim()) {
+                nextCard = JSON.parse(nextCard);
+            }
+            if (nextCard && typeof nextCard === "object" && host.nodeType === 1) {
+                this.render(nextCard, host, onSubmit, Object.assign({}, options, { skipRefresh: true }));
+            }
+        },
+
+        // Configure the host allowlist used by Action.OpenUrl for every card
+        configureNavigation({ allowedHosts } = {}) {
+            navigationPolicy.allowedHosts = Array.isArray(allowedHosts) ? allowedHosts.slice() : [];
+        },
+
+        // Default HostConfig for cards rendered without options.hostConfig (null restores the stylesheet defaults)
+        setHostConfig(hostConfig) {
+            defaultHostConfig = hostConfig && typeof hostConfig === "object" ? hostConfig : null;
+        },
+
+        // Default UI language for cards rendered without options.locale or a card lang
+        // (null follows the page, then the browser). Returns the locale now in effect.
+        setLocale(locale) {
+            return localeCatalog().setLocale(locale || null);
+        },
+
+        // RepeatGroup: rows of a template (items) with Add/Remove, bounded by minRows/maxRows.
+        // Row inputs get namespaced DOM ids ("<group>__r<n>__<field>") so rows never collide;
+        // collectInputs maps them back to plain field ids per row.
+        renderRepeatGroup(element, validationErrors) {
+            const { id, items, value, minRows, maxRows, addButtonTitle, removeButtonTitle, rowTitle, isEnabled = true } = element;
+            const groupId = id || nextId("ac-repeat");
+            const min = Math.max(0, Number(minRows) || 0);
+            const max = Number(maxRows) > 0 ? Number(maxRows) : Infinity;
+            const template = Array.isArray(items) ? items : [];
+            let rowCounter = 0;
+
+            const wrap = el("div", "ac-input-container ac-repeatGroup", { role: "group" });
+            wrap.setAttribute("data-repeat-group-id", groupId);
+            const rowsDiv = el("div", "ac-repeatGroup-rows");
+            const addBtn = el("button", "ac-pushButton ac-secondary ac-repeatGroup-add", { type: "button" });
+            addBtn.textContent = addButtonTitle || t("repeat.add");
+
+            const rows = () => Array.from(rowsDiv.children);
+
+            const refresh = () => {
+                const current = rows();
+                current.forEach((row, i) => {
+                    const heading = row.querySelector(":scope > .ac-repeatGroup-rowHeader > .ac-repeatGroup-rowTitle");
+                    if (heading) heading.textContent = rowTitle ? String(rowTitle).replace("{n}", String(i + 1)) : "";
+                    const remove = row.querySelector(":scope > .ac-repeatGroup-rowHeader > .ac-repeatGroup-remove");
+                    if (remove) remove.disabled = isEnabled === false || current.length <= min;
+                });
+                addBtn.disabled = isEnabled === false || current.length >= max;
+            };
+
+            const addRow = (rowValues) => {
+                rowCounter += 1;
+                const prefix = `${groupId}__r${rowCounter}__`;
+                const row = el("div", "ac-repeatGroup-row", { "data-row-prefix": prefix });
+
+                const header = el("div", "ac-repeatGroup-rowHeader");
+                header.appendChild(el("div", "ac-repeatGroup-rowTitle"));
+                const removeBtn = el("button", "ac-repeatGroup-remove", { type: "button" });
+                removeBtn.textContent = removeButtonTitle || t("repeat.remove");
+                removeBtn.addEventListener("click", () => {
+                    if (rows().length <= min) return;
+                    row.remove();
+                    refresh();
+                    wrap.dispatchEvent(new Event("change", { bubbles: true }));
+                });
+                header.appendChild(removeBtn);
+                row.appendChild(header);
+
+                const rowItems = namespaceRowTemplate(template, prefix, rowValues || {}, isEnabled);
+                this.renderItems(rowItems, row, validationErrors);
+                rowsDiv.appendChild(row);
+                refresh();
+                return row;
+            };
+
+            addBtn.addEventListener("click", () => {
+                if (rows().length >= max) return;
+                const row = withHost(hostOf(wrap), () => addRow({})); // in this card's language and theme
+                const first = row.querySelector("input:not([type='hidden']), select, textarea");
+                if (first) first.focus();
+                wrap.dispatchEvent(new Event("change", { bubbles: true }));
+            });
+
+            const initial = repeatRowsOf(value).slice(0, max);
+            const count = Math.min(max, Math.max(min, initial.length, 1));
+            for (let i = 0; i < count; i++) addRow(initial[i]);
+
+            wrap.appendChild(rowsDiv);
+            wrap.appendChild(addBtn);
+            return wrap;
+        },
+
+        // Signature: drawn with mouse, pen or finger on a canvas (Undo/Clear), or — unless allowTyped is
+        // false — a typed name the canvas renders in a script font. Submits an object with the PNG, the
+        // strokes and signedAt (see collectSignature); value (that object or its JSON) shows it again.
+        renderSignature(element) {
+            const { value, placeholder, penColor, allowTyped = true, isEnabled = true } = element;
+            const enabled = isEnabled !== false;
+            const initial = signatureValue(value);
+            const state = {
+                method: initial && initial.method === "typed" && allowTyped !== false ? "typed" : "drawn",
+                strokes: initial && Array.isArray(initial.strokes) ? initial.strokes : [],
+                startedAt: 0,
+                signedAt: initial && initial.signedAt ? initial.signedAt : null
+            };
+
+            const wrap = el("div", "ac-input-container ac-signature", { role: "group" });
+            if (!enabled) wrap.classList.add("disabled");
+            wrap.acSignature = state;
+
+            const pad = el("div", "ac-signature-pad");
+            const canvas = el("canvas", "ac-signature-canvas", {
+                width: SIGNATURE_WIDTH,
+                height: SIGNATURE_HEIGHT,
+                tabindex: "0",
+                role: "img",
+                "aria-label": t("signature.padLabel")
+            });
+            const hint = el("div", "ac-signature-hint", { "aria-hidden": "true", text: placeholder || t("signature.placeholder") });
+            pad.appendChild(canvas);
+            pad.appendChild(hint);
+
+            const nameInput = el("input", "ac-input ac-signature-name", {
+                type: "text",
+                autocomplete: "name",
+                placeholder: t("signature.nameLabel"),
+                "aria-label": t("signature.nameLabel")
+            });
+            nameInput.value = initial && initial.method === "typed" ? String(initial.name || "") : "";
+            nameInput.disabled = !enabled;
+
+            const tools = el("div", "ac-signature-tools");
+            const toolButton = (className, key) => {
+                const button = el("button", `ac-pushButton ac-secondary ${className}`, { type: "button", text: t(key) });
+                tools.appendChild(button);
+                return button;
+            };
+            const undoBtn = toolButton("ac-signature-undo", "signature.undo");
+            const clearBtn = toolButton("ac-signature-clear", "signature.clear");
+            const modeBtn = allowTyped !== false ? toolButton("ac-signature-mode", "signature.typeInstead") : null;
+
+            const ctx = typeof canvas.getContext === "function" ? canvas.getContext("2d") : null;
+            const ink = penColor || SIGNATURE_INK;
+            const segment = (from, to) => {
+                if (!ctx) return;
+                ctx.beginPath();
+                ctx.moveTo(from[0], from[1]);
+                ctx.lineTo(to[0], to[1]);
+                ctx.stroke();
+            };
+            const redraw = () => {
+                const typed = state.method === "typed";
+                const name = nameInput.value.trim();
+                if (ctx) {
+                    ctx.clearRect(0, 0, canvas.width, canvas.height);
+                    Object.assign(ctx, { strokeStyle: ink, fillStyle: ink, lineWidth: 2.5, lineCap: "round", lineJoin: "round" });
+                    if (typed) {
+                        ctx.font = SIGNATURE_FONT;
+                        ctx.textAlign = "center";
+                        ctx.textBaseline = "middle";
+                        ctx.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width - 40);
+                    } else {
+                        // A single point is a dot
+                        state.strokes.forEach((stroke) => stroke.forEach((point, i) => segment(stroke[i - 1] || point, point)));
+                    }
+                }
+                const empty = typed ? !name : !state.strokes.length;
+                wrap.classList.toggle("is-typed", typed);
+                wrap.classList.toggle("is-empty", empty);
+                nameInput.hidden = !typed;
+                undoBtn.hidden = typed;
+                undoBtn.disabled = !enabled || empty;
+                clearBtn.disabled = !enabled || empty;
+                if (modeBtn) {
+                    modeBtn.textContent = t(typed ? "signature.drawInstead" : "signature.typeInstead", null, wrap);
+                    modeBtn.disabled = !enabled;
+                }
+            };
+            // signedAt is the last change; "change" drives validation, conditions and draft autosave
+            const changed = () => {
+                state.signedAt = new Date().toISOString();
+                redraw();
+                wrap.dispatchEvent(new Event("change", { bubbles: true }));
+            };
+
+            // Points are [x, y, ms since the first stroke] in canvas pixels, whatever size the canvas is shown at
+            const pointOf = (e) => {
+                const rect = canvas.getBoundingClientRect();
+                const scaleX = rect.width ? canvas.width / rect.width : 1;
+                const scaleY = rect.height ? canvas.height / rect.height : 1;
+                if (!state.startedAt || !state.strokes.length) {
+                    // Restored strokes carry on from their last point
+                    const last = state.strokes.flat().pop();
+                    state.startedAt = Date.now() - ((last && last[2]) || 0);
+                }
+                return [
+                    Math.round((e.clientX - rect.left) * scaleX),
+                    Math.round((e.clientY - rect.top) * scaleY),
+                    Date.now() - state.startedAt
+                ];
+            };
+            let current = null;
+            canvas.addEventListener("pointerdown", (e) => {
+                if (!enabled || state.method !== "drawn" || e.button > 0) return;
+                e.preventDefault();
+                if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+                current = [pointOf(e)];
+                state.strokes.push(current);
+                segment(current[0], current[0]);
+            });
+            canvas.addEventListener("pointermove", (e) => {
+                if (!current) return;
+                const point = pointOf(e);
+                segment(current[current.length - 1], point);
+                current.push(point);
+            });
+            const endStroke = () => {
+                if (!current) return;
+                current = null;
+                changed();
+            };
+            canvas.addEventListener("pointerup", endStroke);
+            canvas.addEventListener("pointercancel", endStroke);
+
+            undoBtn.addEventListener("click", () => {
+                state.strokes.pop();
+                changed();
+            });
+            clearBtn.addEventListener("click", () => {
+                if (state.method === "typed") nameInput.value = "";
+                else state.strokes = [];
+                changed();
+            });
+            if (modeBtn) {
+                // Each way keeps its own signature; the one showing is submitted
+                modeBtn.addEventListener("click", () => {
+                    state.method = state.method === "typed" ? "drawn" : "typed";
+                    changed();
+                    if (state.method === "typed") nameInput.focus();
+                    else canvas.focus();
+                });
+            }
+            nameInput.addEventListener("input", () => {
+                state.signedAt = new Date().toISOString();
+                redraw();
+            });
+
+            wrap.appendChild(pad);
+            wrap.appendChild(nameInput);
+            wrap.appendChild(tools);
+            redraw();
+            return wrap;
+        },
+
+        // Build the button for an action; clicking runs the handler registered for its type
+        renderAction(action, onSubmit) {
+            const { type, title, style, url } = action;
+            const handler = actionRegistry.get(type);
+            if (!handler) return document.createElement('div');
+
+            const button = el('button', actionClassName(style), { type: 'button' });
+            button.textContent = title || (DEFAULT_ACTION_TITLES[type] ? t(DEFAULT_ACTION_TITLES[type]) : url) || '';
+
+            button.addEventListener('click', () => {
+                const host = button.closest('.adaptive-card-host') || document;
+                const fail = (err) => console.error(`[AdaptiveCards] ${type} failed:`, err);
+                try {
+                    const result = handler(action, { host, button, onSubmit, renderer: Renderer });
+                    if (result && typeof result.catch === 'function') result.catch(fail);
+                } catch (err) {
+                    fail(err);
+                }
+            });
+            return button;
+        },
+
+        // Action.ToggleVisibility: targets are ids or { elementId, isVisible } (omitted isVisible flips)
+        toggleVisibility(host, targetElements) {
+            (targetElements || []).forEach((target) => {
+                const elementId = typeof target === "string" ? target : target?.elementId;
+                if (!elementId) return;
+
+                const node = findById(host, elementId);
+                if (!node) return;
+
+                const outer = visibilityTarget(node);
+                const visible = (typeof target === "object" && typeof target.isVisible === "boolean")
+                    ? target.isVisible
+                    : outer.hidden;
+                setVisible(outer, visible);
+            });
+        }
+    };
+
+    // Action.OpenUrl only opens same-origin pages, mailto:/tel: links and allowlisted hosts.
+    // Entries are host names; "*.example.com" also matches subdomains.
+    const navigationPolicy = {
+        allowedHosts: []
+    };
+
+    // Returns the normalized URL when it may be opened, otherwise null
+    function isUrlAllowed(url, options) {
+        if (!url || typeof url !== "string") return null;
+
+        let parsed;
+        try {
+            parsed = new URL(url, window.location.href);
+        } catch {
+            return null;
+        }
+
+        const protocol = parsed.protocol.toLowerCase();
+        if (protocol === "mailto:" || protocol === "tel:") return parsed.href;
+        if (protocol !== "https:" && protocol !== "http:") return null; // blocks javascript:, data:, etc.
+        if (parsed.origin === window.location.origin) return parsed.href;
+
+        const host = parsed.hostname.toLowerCase();
+        const allowlist = navigationPolicy.allowedHosts.concat((options && options.allowedHosts) || []);
+        const match = allowlist.some((entry) => {
+            const rule = String(entry || "").trim().toLowerCase();
+            if (!rule) return false;
+            if (rule.startsWith("*.")) {
+                const base = rule.slice(2);
+                return host === base || host.endsWith(`.${base}`);
+            }
+            return host === rule;
+        });
+        return match ? parsed.href : null;
+    }
+
+    // Built-in UI text comes from the string catalog in localization.js (window.ConversaLocalization).
+    // Each host keeps its card's locale and theme (acLocale, acHostConfig); handlers that run later pass
+    // a node to t() so the text follows that node's card rather than whichever card rendered last.
+    // activeHost is the container being rendered, for elements not yet attached to it.
+    let activeHost = null;
+    let catalogMissingLogged = false;
+
+    const MISSING_CATALOG = {
+        setLocale: () => MISSING_CATALOG.getLocale(),
+        getLocale: () => document.documentElement.lang || navigator.language || "en",
+        t: (key) => key
+    };
+
+    function localeCatalog() {
+        if (window.ConversaLocalization) return window.ConversaLocalization;
+        if (!catalogMissingLogged) {
+            catalogMissingLogged = true;
+            console.error("[AdaptiveCards] ConversaLocalization is not available. Ensure js/localization.js is loaded first.");
+        }
+        return MISSING_CATALOG;
+    }
+
+    // The container a node was rendered into: the nearest one with acLocale, else the one being rendered
+    function hostOf(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current.acLocale) return current;
+        }
+        return activeHost;
+    }
+
+    function localeOf(node) {
+        const owner = node && node.closest ? node.closest("[lang]") : null;
+        if (owner) return owner.getAttribute("lang");
+        return (activeHost && activeHost.acLocale) || localeCatalog().getLocale();
+    }
+
+    function t(key, params, node) {
+        return localeCatalog().t(key, params, node ? localeOf(node) : (activeHost && activeHost.acLocale) || undefined);
+    }
+
+    function withHost(host, render) {
+        const previous = activeHost;
+        activeHost = host;
+        try {
+            return render();
+        } finally {
+            activeHost = previous;
+        }
+    }
+
+    // ISO yyyy-mm-dd → long date in locale ("3 de marzo de 2026"); "" when not a date
+    function formatDate(iso, locale) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(iso || ""));
+        if (!match) return "";
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        try {
+            return new Intl.DateTimeFormat(locale, { dateStyle: "long" }).format(date);
+        } catch (err) {
+            return date.toLocaleDateString();
+        }
+    }
+
+    // HostConfig (Adaptive Cards shape) → CSS custom properties read by adaptive-cards.css.
+    // Supported: fontFamily (or fontTypes.default.fontFamily), fontSizes, spacing,
+    // containerStyles.default.foregroundColors (or foregroundColors), actions.actionAlignment / maxActions.
+    let defaultHostConfig = null;
+
+    const TEXT_SIZES = ["small", "default", "medium", "large", "extralarge"];
+    const TEXT_COLORS = ["default", "dark", "light", "accent", "good", "warning", "attention"];
+    const HOST_COLORS = ["default", "accent", "good", "warning", "attention"];
+    const HOST_SPACING = ["small", "default", "medium", "large", "extraLarge", "padding"];
+    const ACTION_ALIGNMENTS = { left: "flex-start", center: "center", right: "flex-end", stretch: "stretch" };
+
+    function cssLength(value) {
+        return typeof value === "number" ? `${value}px` : String(value);
+    }
+
+    function hostConfigProperties(config) {
+        const props = {};
+        if (!config || typeof config !== "object") return props;
+
+        const defaultFont = (config.fontTypes && config.fontTypes.default) || {};
+        const fontFamily = config.fontFamily || defaultFont.fontFamily;
+        if (fontFamily) props["--ac-font-family"] = fontFamily;
+
+        const fontSizes = config.fontSizes || defaultFont.fontSizes || {};
+        TEXT_SIZES.forEach((size) => {
+            const key = size === "extralarge" ? "extraLarge" : size;
+            if (fontSizes[key] != null) props[`--ac-font-size-${size}`] = cssLength(fontSizes[key]);
+        });
+
+        const styles = config.containerStyles && config.containerStyles.default;
+        const colors = (styles && styles.foregroundColors) || config.foregroundColors || {};
+        HOST_COLORS.forEach((name) => {
+            const color = colors[name];
+            if (color == null) return;
+            // AC colors are { default, subtle }; a plain string is accepted too
+            const main = typeof color === "string" ? color : color.default;
+            const subtle = typeof color === "string" ? null : color.subtle;
+            if (main) props[`--ac-color-${name}`] = main;
+            if (subtle) props[`--ac-color-${name}-subtle`] = subtle;
+        });
+
+        const spacing = config.spacing || {};
+        HOST_SPACING.forEach((size) => {
+            if (spacing[size] != null) props[`--ac-spacing-${size.toLowerCase()}`] = cssLength(spacing[size]);
+        });
+
+        const alignment = config.actions && ACTION_ALIGNMENTS[String(config.actions.actionAlignment || "").toLowerCase()];
+        if (alignment) props["--ac-action-alignment"] = alignment;
+
+        return props;
+    }
+
+    // Replace the properties a previous render set, so re-rendering with another brand never mixes themes
+    function applyHostConfig(container, config) {
+        (container.acHostConfigProperties || []).forEach((name) => container.style.removeProperty(name));
+        const props = hostConfigProperties(config);
+        Object.entries(props).forEach(([name, value]) => container.style.setProperty(name, value));
+        container.acHostConfigProperties = Object.keys(props);
+        container.classList.toggle("ac-actions-stretch", props["--ac-action-alignment"] === "stretch");
+    }
+
+    let idCounter = 0;
+    function nextId(prefix) {
+        idCounter += 1;
+        return `${prefix}-${idCounter}`;
+    }
+
+    // Every card render()/update() shows gets a page-wide version; submissions are keyed by it
+    let cardVersionCounter = 0;
+    function nextCardVersion() {
+        cardVersionCounter += 1;
+        return cardVersionCounter;
+    }
+
+    function actionClassName(style) {
+        let className = 'ac-pushButton';
+        if (style === 'positive') className += ' positive';
+        if (style === 'destructive') className += ' destructive';
+        if (style === 'secondary') className += ' ac-secondary';
+        return className;
+    }
+
+    // Stamp the element id so actions (ToggleVisibility, etc.) can find the rendered node
+    function applyCommon(node, element) {
+        if (!node || !node.setAttribute || !element.id) return;
+        node.setAttribute("data-ac-id", element.id);
+    }
+
+    function applyVisibleWhen(node, element) {
+        if (!node || !node.setAttribute || !element.visibleWhen || typeof element.visibleWhen !== "object") return;
+        node.setAttribute("data-ac-visible-when", JSON.stringify(element.visibleWhen));
+    }
+
+    // visibleWhen grammar:
+    //   { id, equals } | { id, notEquals } | { id, in: [...] } | { id, contains }   (multi-selects)
+    //   { id, greaterThan } | { id, lessThan } | { id, isEmpty: true|false }
+    //   { and: [cond, ...] } | { or: [cond, ...] } | { not: cond }
+    function evaluateCondition(condition, values) {
+        if (!condition || typeof condition !== "object") return true;
+
+        // null operators are treated as absent (C# models serialize unset properties as null)
+        if (Array.isArray(condition.and)) return condition.and.every((c) => evaluateCondition(c, values));
+        if (Array.isArray(condition.or)) return condition.or.some((c) => evaluateCondition(c, values));
+        if (condition.not != null) return !evaluateCondition(condition.not, values);
+        if (!condition.id) return true;
+
+        const raw = values[condition.id];
+        const value = raw === undefined || raw === null ? "" : String(raw);
+        const str = (v) => (v === undefined || v === null ? "" : String(v));
+
+        if (condition.equals != null) return value === str(condition.equals);
+        if (condition.notEquals != null) return value !== str(condition.notEquals);
+        if (Array.isArray(condition.in)) return condition.in.map(str).includes(value);
+        if (condition.contains != null) return value.split(",").includes(str(condition.contains));
+        if (condition.greaterThan != null) return value !== "" && Number(value) > Number(condition.greaterThan);
+        if (condition.lessThan != null) return value !== "" && Number(value) < Number(condition.lessThan);
+        if (condition.isEmpty != null) return (value.trim() === "") === (condition.isEmpty !== false);
+
+        // Bare { id } means "has a value"
+        return value.trim() !== "";
+    }
+
+    // Server-side errors wrap a node in .ac-field-with-error; show/hide the wrapper with it
+    function visibilityTarget(node) {
+        const parent = node.parentElement;
+        return parent && parent.classList.contains("ac-field-with-error") ? parent : node;
+    }
+
+    function setVisible(node, visible) {
+        if (!node || node.nodeType !== 1) return;
+        node.hidden = !visible;
+        if (visible) node.removeAttribute("aria-hidden");
+        else node.setAttribute("aria-hidden", "true");
+    }
+
+    // True when node sits in a RepeatGroup row below host (those are collected per row, not flat)
+    function inNestedRepeatRow(node, host) {
+        const row = node.closest(".ac-repeatGroup-row");
+        return !!row && row !== host && host.contains(row);
+    }
+
+    // RepeatGroup value: an array of row objects, or its JSON (CardElement.Value is a string)
+    function repeatRowsOf(value) {
+        if (typeof value === "string" && value.trim().startsWith("[")) {
+            try {
+                value = JSON.parse(value);
+            } catch {
+                return [];
+            }
+        }
+        return Array.isArray(value) ? value : [];
+    }
+
+    // Clone a RepeatGroup template for one row: prefix every id (and visibleWhen references
+    // to sibling fields) and seed input values from the row's data.
+    function namespaceRowTemplate(template, prefix, rowValues, isEnabled) {
+        const clone = JSON.parse(JSON.stringify(template));
+        const ids = new Set();
+
+        const collectIds = (node) => {
+            if (Array.isArray(node)) return node.forEach(collectIds);
+            if (!node || typeof node !== "object") return;
+            if (typeof node.id === "string" && node.id) ids.add(node.id);
+            Object.values(node).forEach(collectIds);
+        };
+        const renameCondition = (cond) => {
+            if (!cond || typeof cond !== "object") return;
+            if (typeof cond.id === "string" && ids.has(cond.id)) cond.id = prefix + cond.id;
+            ["and", "or"].forEach((k) => Array.isArray(cond[k]) && cond[k].forEach(renameCondition));
+            renameCondition(cond.not);
+        };
+        const rename = (node) => {
+            if (Array.isArray(node)) return node.forEach(rename);
+            if (!node || typeof node !== "object") return;
+            if (node.visibleWhen) renameCondition(node.visibleWhen);
+            if (typeof node.id === "string" && ids.has(node.id)) {
+                if (isInputType(node.type)) {
+                    if (Object.prototype.hasOwnProperty.call(rowValues, node.id)) node.value = rowValues[node.id];
+                    if (isEnabled === false) node.isEnabled = false;
+                }
+                node.id = prefix + node.id;
+            }
+            Object.entries(node).forEach(([key, v]) => {
+                if (key !== "visibleWhen" && key !== "value") rename(v);
+            });
+        };
+
+        collectIds(clone);
+        rename(clone);
+        return clone;
+    }
+
+    // Inputs inside hidden elements/collapsed ShowCards are skipped by collect and validate
+    function isHidden(node) {
+        return !!(node && node.closest("[hidden]"));
+    }
+
+    // Map AC spacing/separator onto an element rendered inside a collection.
+    // Columns are laid out horizontally, so their spacing/separator go on the left edge.
+    function applySpacing(node, element, horizontal) {
+        if (!node || !node.classList) return;
+        const spacing = typeof element.spacing === "string" ? element.spacing.toLowerCase() : "";
+        if (spacing && spacing !== "default") {
+            node.classList.add(`ac-spacing-${spacing}`);
+        }
+        if (element.separator === true) {
+            node.classList.add(horizontal ? "ac-separator-vertical" : "ac-separator");
+        }
+    }
+
+    // Shared Container/ColumnSet/Column styling: style, bleed, verticalContentAlignment, minHeight
+    function applyContainerStyle(node, element) {
+        const style = typeof element.style === "string" ? element.style.toLowerCase() : "";
+        if (style && style !== "default") {
+            node.classList.add(`ac-style-${style}`);
+        }
+        if (element.bleed === true) {
+            node.classList.add("ac-bleed");
+        }
+
+        const align = typeof element.verticalContentAlignment === "string"
+            ? element.verticalContentAlignment.toLowerCase()
+            : "";
+        if (align === "center" || align === "bottom") {
+            node.classList.add(`ac-valign-${align}`);
+        }
+
+        if (element.minHeight) {
+            node.style.minHeight = String(element.minHeight);
+        }
+    }
+
+    // Input.Text style → HTML input attributes (anything else renders type="text")
+    const TEXT_INPUT_STYLES = {
+        tel: { type: "tel", inputmode: "tel", autocomplete: "tel" },
+        email: { type: "email", inputmode: "email", autocomplete: "email" },
+        url: { type: "url", inputmode: "url", autocomplete: "url" },
+        password: { type: "password", autocomplete: "off" }
+    };
+
+    // Mask tokens: # digit, A letter, * letter or digit. Any other character is a literal.
+    const MASK_TOKENS = {
+        "#": /[0-9]/,
+        "A": /[A-Za-z]/,
+        "*": /[A-Za-z0-9]/
+    };
+
+    // Lay raw characters into the mask; literals are only emitted ahead of a following character
+    function applyMask(raw, mask) {
+        let out = "";
+        let ri = 0;
+        for (let mi = 0; mi < mask.length && ri < raw.length; mi++) {
+            const token = MASK_TOKENS[mask[mi]];
+            if (!token) {
+                out += mask[mi];
+                continue;
+            }
+            while (ri < raw.length && !token.test(raw[ri])) ri++; // drop characters the slot can't take
+            if (ri < raw.length) out += raw[ri++];
+        }
+        return out;
+    }
+
+    // Recover the characters typed into mask slots from a (possibly partially formatted) value
+    function unmask(value, mask) {
+        let raw = "";
+        let mp = 0;
+        for (const ch of String(value)) {
+            if (mp < mask.length && !MASK_TOKENS[mask[mp]] && ch === mask[mp]) {
+                mp++; // literal in its expected place
+                continue;
+            }
+            if (!/[A-Za-z0-9]/.test(ch)) continue;
+
+            while (mp < mask.length && !MASK_TOKENS[mask[mp]]) mp++;
+            if (mp >= mask.length) break; // mask is full
+            raw += ch;
+            mp++;
+        }
+        return raw;
+    }
+
+    // Re-apply the mask on input while keeping the caret after the same typed character
+    function reformatMasked(input, mask) {
+        const caret = input.selectionStart ?? input.value.length;
+        const rawBeforeCaret = unmask(input.value.slice(0, caret), mask).length;
+        const formatted = applyMask(unmask(input.value, mask), mask);
+        if (formatted === input.value) return;
+
+        input.value = formatted;
+
+        let pos = 0;
+        let seen = 0;
+        while (pos < formatted.length && seen < rawBeforeCaret) {
+            if (MASK_TOKENS[mask[pos]]) seen++;
+            pos++;
+        }
+        if (typeof input.setSelectionRange === "function" && document.activeElement === input) {
+            input.setSelectionRange(pos, pos);
+        }
+    }
+
+    const NUMBER_FORMATS = ["currency", "percent", "decimal"];
+
+    // Resolve a formatted number input's settings (locale falls back to the card's, see localeOf)
+    function numberFormatOf(input) {
+        const locale = input.dataset.locale || localeOf(input);
+        const decimals = input.dataset.decimals !== undefined ? Number(input.dataset.decimals) : null;
+        const style = input.dataset.numberFormat;
+        const options = { style: style === "decimal" ? "decimal" : style, useGrouping: true };
+        if (style === "currency") options.currency = input.dataset.currency || "USD";
+
+        let separators = { group: ",", decimal: "." };
+        try {
+            new Intl.NumberFormat(locale, options).formatToParts(1234.5).forEach((p) => {
+                if (p.type === "group") separators.group = p.value;
+                if (p.type === "decimal") separators.decimal = p.value;
+            });
+        } catch (err) {
+            console.warn(`[AdaptiveCards] Unsupported number format for locale ${locale}:`, err);
+        }
+        return { locale, style, options, decimals, separators };
+    }
+
+    // Percent inputs are entered and submitted as whole percentages (5 → "5%")
+    function intlValue(n, fmt) {
+        return fmt.style === "percent" ? n / 100 : n;
+    }
+
+    function formatNumberValue(n, fmt) {
+        if (!Number.isFinite(n)) return "";
+        const maxDigits = fmt.decimals ?? (fmt.style === "currency" ? 2 : 4);
+        try {
+            return new Intl.NumberFormat(fmt.locale, Object.assign({}, fmt.options, {
+                minimumFractionDigits: fmt.decimals ?? 0,
+                maximumFractionDigits: maxDigits
+            })).format(intlValue(n, fmt));
+        } catch {
+            return String(n);
+        }
+    }
+
+    // Strip currency symbols, grouping and percent signs: "$250,000.5" → "250000.5"
+    function parseFormattedNumber(text, fmt) {
+        let out = "";
+        for (const ch of String(text)) {
+            if (/[0-9]/.test(ch)) out += ch;
+            else if (ch === fmt.separators.decimal && out.indexOf(".") === -1) out += ".";
+            else if ((ch === "-" || ch === "\u2212") && out === "") out += "-";
+        }
+        if (out === "" || out === "-" || out === ".") return "";
+        if (out.endsWith(".")) out = out.slice(0, -1);
+        return String(Number(out));
+    }
+
+    function clampNumber(n, rules) {
+        const min = rules.min !== undefined ? Number(rules.min) : null;
+        const max = rules.max !== undefined ? Number(rules.max) : null;
+        const step = rules.step !== undefined ? Number(rules.step) : null;
+
+        if (step && step > 0) {
+            const base = Number.isFinite(min) && min !== null ? min : 0;
+            n = base + Math.round((n - base) / step) * step;
+            n = Number(n.toFixed(10)); // drop floating point noise from fractional steps
+        }
+        if (min !== null && Number.isFinite(min) && n < min) n = min;
+        if (max !== null && Number.isFinite(max) && n > max) n = max;
+        return n;
+    }
+
+    // Group digits as the user types while preserving a trailing decimal separator/fraction
+    function reformatNumberWhileTyping(input, fmt) {
+        const text = input.value;
+        const caret = input.selectionStart ?? text.length;
+        const digitsBeforeCaret = text.slice(0, caret).replace(/[^0-9]/g, "").length;
+
+        const negative = /^[^0-9]*[-\u2212]/.test(text);
+        const decimalAt = text.indexOf(fmt.separators.decimal);
+        const intDigits = (decimalAt >= 0 ? text.slice(0, decimalAt) : text).replace(/[^0-9]/g, "");
+        let fraction = decimalAt >= 0 ? text.slice(decimalAt + 1).replace(/[^0-9]/g, "") : null;
+        const maxFraction = fmt.decimals ?? (fmt.style === "currency" ? 2 : 4);
+        if (fraction !== null) fraction = fraction.slice(0, maxFraction);
+
+        if (!intDigits && fraction === null) {
+            input.value = negative ? "-" : "";
+            return;
+        }
+
+        let formatted;
+        try {
+            const parts = new Intl.NumberFormat(fmt.locale, Object.assign({}, fmt.options, {
+                minimumFractionDigits: 0,
+                maximumFractionDigits: 0
+            })).formatToParts(intlValue(Number(intDigits || "0"), fmt));
+
+            // Splice the typed fraction in right after the last integer part
+            const lastInteger = parts.map((p) => p.type).lastIndexOf("integer");
+            formatted = parts.map((p, i) => {
+                let v = (p.type === "fraction" || p.type === "decimal") ? "" : p.value;
+                if (i === lastInteger && fraction !== null && maxFraction > 0) v += fmt.separators.decimal + fraction;
+                return v;
+            }).join("");
+            if (negative && formatted.indexOf("-") === -1 && formatted.indexOf("\u2212") === -1) formatted = `-${formatted}`;
+        } catch {
+            formatted = text;
+        }
+
+        if (formatted === text) return;
+        input.value = formatted;
+
+        let pos = 0;
+        let seen = 0;
+        while (pos < formatted.length && seen < digitsBeforeCaret) {
+            if (/[0-9]/.test(formatted[pos])) seen++;
+            pos++;
+        }
+        // Just typed the decimal separator: keep the caret after it, not before trailing "%" / " €"
+        if (text[caret - 1] === fmt.separators.decimal && formatted[pos] === fmt.separators.decimal) pos++;
+        if (typeof input.setSelectionRange === "function" && document.activeElement === input) {
+            input.setSelectionRange(pos, pos);
+        }
+    }
+
+    // Drafts live in sessionStorage under "ac-draft:<activityId>"
+    const DRAFT_PREFIX = "ac-draft:";
+    const DRAFT_SAVE_DELAY_MS = 400;
+
+    function loadDraft(activityId) {
+        try {
+            const raw = window.sessionStorage.getItem(DRAFT_PREFIX + activityId);
+            const parsed = raw ? JSON.parse(raw) : null;
+            return parsed && parsed.values && typeof parsed.values === "object" ? parsed.values : null;
+        } catch {
+            return null;
+        }
+    }
+
+    function writeDraft(activityId, values) {
+        try {
+            window.sessionStorage.setItem(DRAFT_PREFIX + activityId, JSON.stringify({ savedAt: Date.now(), values }));
+        } catch (err) {
+            console.warn("[AdaptiveCards] Could not save card draft:", err);
+        }
+    }
+
+    // Ids never written to storage: isSensitive or autosave:false inputs, password fields and
+    // signatures (the image and strokes; kept only with autosave: true)
+    function sensitiveIdsOf(cardJson) {
+        const ids = new Set();
+        const walk = (node) => {
+            if (Array.isArray(node)) return node.forEach(walk);
+            if (!node || typeof node !== "object") return;
+            if (isInputType(node.type) && node.id &&
+                (node.isSensitive === true || node.autosave === false ||
+                 (node.type === "Input.Signature" && node.autosave !== true) ||
+                 (node.type === "Input.Text" && String(node.style || "").toLowerCase() === "password"))) {
+                ids.add(node.id);
+            }
+            Object.values(node).forEach(walk);
+        };
+        walk(cardJson.body);
+        walk(cardJson.actions);
+        return ids;
+    }
+
+    // Drop sensitive keys, including inside RepeatGroup row objects
+    function stripSensitive(values, ids) {
+        const out = {};
+        for (const [key, v] of Object.entries(values)) {
+            if (ids.has(key)) continue;
+            out[key] = Array.isArray(v)
+                ? v.map((row) => (row && typeof row === "object" ? stripSensitive(row, ids) : row))
+                : v;
+        }
+        return out;
+    }
+
+    // Return a copy of the card with saved values placed into matching inputs' value
+    function applyDraft(cardJson, values) {
+        const card = JSON.parse(JSON.stringify(cardJson));
+        const walk = (node) => {
+            if (Array.isArray(node)) return node.forEach(walk);
+            if (!node || typeof node !== "object") return;
+            if (isInputType(node.type) && node.id &&
+                Object.prototype.hasOwnProperty.call(values, node.id) && values[node.id] !== null) {
+                let v = values[node.id];
+                // Toggles render from "true"/"false"; drafts hold valueOn/valueOff
+                if (node.type === "Input.Toggle") v = String(v === (node.valueOn ?? "true"));
+                node.value = v;
+            }
+            Object.entries(node).forEach(([key, child]) => {
+                if (key !== "value") walk(child);
+            });
+        };
+        walk(card.body);
+        walk(card.actions);
+        return card;
+    }
+
+    // --- review(): read-only summary of a submitted card ---
+    const EMPTY_ANSWER = "—";
+
+    // { [inputId]: value } from the values written into the card (the server's copy of the answers)
+    function inputValuesOf(card) {
+        const values = {};
+        const walk = (node) => {
+            if (Array.isArray(node)) return node.forEach(walk);
+            if (!node || typeof node !== "object") return;
+            if (isInputType(node.type) && node.id && node.value != null) values[node.id] = node.value;
+            Object.entries(node).forEach(([key, child]) => {
+                if (key !== "value") walk(child);
+            });
+        };
+        walk(card.body);
+        walk(card.actions);
+        return values;
+    }
+
+    // { title, value } per answered input, in card order. Inputs are named like on the form: their
+    // label, else the TextBlock right above them (also across a column or container edge, for labels
+    // laid out beside their inputs), else a toggle's title or the placeholder. Never by their id.
+    function reviewFacts(card, answers, node) {
+        const facts = [];
+        // Returns the text of a TextBlock that ends the list, which may name the input after it
+        const walk = (items, labelBefore = null) => {
+            let labelText = labelBefore;
+            (Array.isArray(items) ? items : []).forEach((element) => {
+                if (!element || typeof element !== "object") return;
+                if (isInputType(element.type)) {
+                    if (element.id && Object.prototype.hasOwnProperty.call(answers, element.id)) {
+                        facts.push({
+                            title: element.label || labelText || element.title || element.placeholder || element.text || "",
+                            value: answerText(element, answers[element.id], node)
+                        });
                     }
+                    labelText = null;
+                } else if (element.type === "TextBlock") {
+                    labelText = element.text;
+                } else if (element.type === "ColumnSet") {
+                    (element.columns || []).forEach((column) => { if (column) labelText = walk(column.items, labelText); });
+                } else if (element.type === "Table") {
+                    (element.rows || []).forEach((row) => row && (row.cells || []).forEach((cell) => cell && walk(cell.items)));
+                    labelText = null;
+                } else if (element.type === "Container" || element.type === "Column") {
+                    labelText = walk(element.items, labelText);
+                } else {
+                    labelText = null;
+                }
+            });
+            return labelText;
+        };
+        walk(card.body);
+        // Inputs of Action.ShowCard panels only count if they were part of the submission
+        (Array.isArray(card.actions) ? card.actions : []).forEach((action) => {
+            if (action && action.type === "Action.ShowCard" && action.card) walk(action.card.body);
+        });
+        return facts;
+    }
+
+    // An answer as the user would recognise it: choice titles, Yes/No, dates and numbers in the card's locale
+    function answerText(element, value, node) {
+        if (value == null || value === "" || (Array.isArray(value) && !value.length)) return EMPTY_ANSWER;
+        const locale = localeOf(node);
+
+        switch (element.type) {
+            case "Input.Toggle": {
+                const on = value === true || String(value) === String(element.valueOn ?? "true");
+                return t(on ? "review.yes" : "review.no", null, node);
+            }
+            case "Input.ChoiceSet":
+            case "Input.TagSelect": {
+                const titles = new Map();
+                (Array.isArray(element.choices) ? element.choices : []).forEach((choice) => {
+                    const normalized = normalizeChoice(choice);
+                    if (normalized) titles.set(normalized.value, normalized.title);
                 });
+                const values = Array.isArray(value) ? value.map(String) : tagValues(value, element.isMultiSelect === true);
+                return values.map((v) => titles.get(v) ?? v).join(", ");
+            }
+            case "Input.Date":
+                return formatDate(value, locale) || String(value);
+            case "Input.Number": {
+                const n = Number(value);
+                if (!Number.isFinite(n)) return String(value);
+                const format = typeof element.format === "string" ? element.format.toLowerCase() : "";
+                if (!NUMBER_FORMATS.includes(format)) return n.toLocaleString(locale);
+                const options = { style: format, useGrouping: true };
+                if (format === "currency") options.currency = element.currency || "USD";
+                return formatNumberValue(n, { locale: element.locale || locale, style: format, options, decimals: element.decimals ?? null });
+            }
+            case "Input.Signature": {
+                const signature = signatureValue(value);
+                if (!signature) return String(value);
+                const signedAt = signature.signedAt ? new Date(signature.signedAt) : null;
+                const date = signedAt && !isNaN(signedAt) ? signedAt.toLocaleDateString(locale, { dateStyle: "long" }) : EMPTY_ANSWER;
+                return signature.method === "typed"
+                    ? t("signature.reviewTyped", { name: signature.name || "", date }, node)
+                    : t("signature.reviewDrawn", { date }, node);
+            }
+            case "Input.RepeatGroup": {
+                // One line per row: "1. Ann, 42"
+                const rows = repeatRowsOf(value);
+                if (!rows.length) return String(value);
+                return rows.map((row, i) => {
+                    const cells = reviewFacts({ body: element.items }, row || {}, node).map((fact) => fact.value);
+                    return `${i + 1}. ${cells.join(", ")}`;
+                }).join("\n");
+            }
+            default:
+                return typeof value === "object" ? JSON.stringify(value) : String(value);
+        }
+    }
 
-                return button;
+    // --- validateCard(): the supported schema subset ---
+    // Versions above this may use features the renderer doesn't know
+    const SUPPORTED_VERSION = "1.5";
+
+    // Properties every card / element / input / action may carry, on top of its type's own list.
+    // Everything the Adaptive Cards 1.5 schema allows is listed, rendered or not, so valid cards
+    // stay quiet; keys starting with "$" (templating) or "_" (_metadata, renderer annotations) are never flagged.
+    const CARD_PROPERTIES = ["type", "version", "$schema", "schema", "body", "actions", "refresh", "authentication",
+        "lang", "style", "selectAction", "backgroundImage", "minHeight", "rtl", "verticalContentAlignment",
+        "metadata", "fallbackText", "speak", "validationErrors"];
+    // isEnabled: InjectSuccessState disables every element with an id; style "error": InjectErrors marks any invalid input
+    const COMMON_ELEMENT_PROPERTIES = ["type", "id", "isVisible", "isEnabled", "separator", "spacing", "height", "fallback",
+        "requires", "visibleWhen", "helpText", "tooltip"];
+    const COMMON_INPUT_PROPERTIES = ["label", "isRequired", "errorMessage", "value", "style", "isSensitive", "autosave"];
+    const COMMON_ACTION_PROPERTIES = ["type", "id", "title", "style", "iconUrl", "tooltip", "isEnabled", "mode",
+        "fallback", "requires"];
+
+    // Rendered inside their parent, so not in the element registry; typed by the list they sit in
+    const NESTED_PROPERTIES = {
+        "TableRow": ["cells", "style", "horizontalCellContentAlignment", "verticalCellContentAlignment"],
+        "TableCell": ["items", "style", "horizontalContentAlignment", "verticalContentAlignment", "selectAction",
+            "backgroundImage", "bleed", "minHeight", "rtl"]
+    };
+    const SLOT_TYPES = { "ColumnSet": "Column", "Table": "TableRow", "TableRow": "TableCell" };
+
+    function reportProblem(check, severity, code, path, message, elementId) {
+        check.diagnostics.push({ severity, code, message, path, elementId: elementId || null });
+    }
+
+    function childPath(path, key, index) {
+        const base = path ? `${path}.${key}` : key;
+        return index === undefined ? base : `${base}[${index}]`;
+    }
+
+    function checkVersion(version, check) {
+        if (version == null) {
+            reportProblem(check, "warning", "missing-version", "version", "Card has no version");
+            return;
+        }
+        const match = /^(\d+)\.(\d+)$/.exec(String(version).trim());
+        if (!match) {
+            reportProblem(check, "warning", "invalid-version", "version", `Card version "${version}" is not major.minor`);
+            return;
+        }
+        const [major, minor] = SUPPORTED_VERSION.split(".").map(Number);
+        if (Number(match[1]) > major || (Number(match[1]) === major && Number(match[2]) > minor)) {
+            reportProblem(check, "warning", "unsupported-version", "version",
+                `Card version ${version} is newer than the supported ${SUPPORTED_VERSION}; newer features may not render`);
+        }
+    }
+
+    // Set (non-null) properties outside the allowed lists; null is how the C# models leave a property out
+    function checkProperties(node, allowed, path, label, check) {
+        Object.keys(node).forEach((key) => {
+            if (node[key] == null || key.startsWith("$") || key.startsWith("_")) return;
+            if (allowed.some((list) => list.includes(key))) return;
+            reportProblem(check, "warning", "unknown-property", childPath(path, key),
+                `Unknown property "${key}" on ${label}; it is ignored`, node.id);
+        });
+    }
+
+    // ids: id → path of its first use, per scope (RepeatGroup rows are a scope of their own)
+    function checkCard(card, path, check, ids) {
+        checkProperties(card, [CARD_PROPERTIES], path, "the card", check);
+        checkItems(card.body, childPath(path, "body"), check, ids);
+        checkActions(card.actions, childPath(path, "actions"), check, ids);
+        if (card.refresh && card.refresh.action) checkAction(card.refresh.action, childPath(path, "refresh.action"), check, ids);
+    }
+
+    function checkItems(items, path, check, ids, slotType) {
+        if (items == null) return;
+        if (!Array.isArray(items)) {
+            reportProblem(check, "error", "invalid-property", path, "Expected a list of elements");
+            return;
+        }
+        items.forEach((element, index) => checkElement(element, `${path}[${index}]`, check, ids, slotType));
+    }
+
+    function checkElement(element, path, check, ids, slotType) {
+        if (!element || typeof element !== "object" || Array.isArray(element)) {
+            reportProblem(check, "error", "invalid-element", path, "Element is not an object; it is skipped");
+            return;
+        }
+        // Columns, rows and cells render as what their list holds, whatever their type says
+        const type = slotType || element.type;
+        if (!type) {
+            reportProblem(check, "error", "missing-type", path, "Element has no type; it is not rendered", element.id);
+            return;
+        }
+        const definition = elementRegistry.get(type);
+        if (!definition && !NESTED_PROPERTIES[type]) {
+            if (element.fallback && typeof element.fallback === "object") {
+                checkElement(element.fallback, childPath(path, "fallback"), check, ids);
+            } else if (element.fallback !== "drop") {
+                reportProblem(check, "error", "unsupported-type", path,
+                    `Unsupported element type "${type}"; it is not rendered`, element.id);
+            }
+            return;
+        }
+
+        const isInput = !!(definition && definition.collect);
+        if (element.id != null) {
+            const id = String(element.id);
+            if (ids.has(id)) {
+                reportProblem(check, "error", "duplicate-id", path, `Duplicate id "${id}" (first used at ${ids.get(id)})`, id);
+            } else {
+                ids.set(id, path);
+            }
+            check.allIds.add(id);
+        } else if (isInput) {
+            reportProblem(check, "error", "missing-id", path, `${type} has no id; its value is not submitted`);
+        }
+
+        const own = definition ? definition.properties : NESTED_PROPERTIES[type];
+        if (own) {
+            checkProperties(element, [COMMON_ELEMENT_PROPERTIES, isInput ? COMMON_INPUT_PROPERTIES : [], own], path, type, check);
+        }
+
+        if (type === "Input.RepeatGroup") {
+            checkItems(element.items, childPath(path, "items"), check, new Map());
+        } else if (LAYOUT_CHILDREN[type]) {
+            const key = LAYOUT_CHILDREN[type];
+            checkItems(element[key], childPath(path, key), check, ids, SLOT_TYPES[type]);
+        }
+    }
+
+    function checkActions(actions, path, check, ids) {
+        if (actions == null) return;
+        if (!Array.isArray(actions)) {
+            reportProblem(check, "error", "invalid-property", path, "Expected a list of actions");
+            return;
+        }
+        actions.forEach((action, index) => checkAction(action, `${path}[${index}]`, check, ids));
+    }
+
+    function checkAction(action, path, check, ids) {
+        if (!action || typeof action !== "object" || Array.isArray(action)) {
+            reportProblem(check, "error", "invalid-action", path, "Action is not an object; it is skipped");
+            return;
+        }
+        if (!action.type) {
+            reportProblem(check, "error", "missing-type", path, "Action has no type; it is not rendered");
+            return;
+        }
+        if (!actionRegistry.has(action.type)) {
+            reportProblem(check, "error", "unsupported-action", path, `Unsupported action type "${action.type}"; it is not rendered`);
+            return;
+        }
+
+        const own = actionProperties.get(action.type);
+        if (own) checkProperties(action, [COMMON_ACTION_PROPERTIES, own], path, action.type, check);
+
+        if (action.type === "Action.ShowCard" && action.card && typeof action.card === "object") {
+            // Its inputs join the parent card's payload, so they share its ids
+            checkCard(action.card, childPath(path, "card"), check, ids);
+        }
+        if (action.type === "Action.ToggleVisibility" && Array.isArray(action.targetElements)) {
+            action.targetElements.forEach((target, index) => {
+                const id = typeof target === "string" ? target : target && target.elementId;
+                if (id) check.targets.push({ id: String(id), path: childPath(path, "targetElements", index) });
+            });
+        }
+    }
+
+    // Run validateCard for render()/update() when the host asked for it (onDiagnostics / showDiagnostics)
+    function reportDiagnostics(container, cardJson, renderOptions) {
+        const wantsOverlay = renderOptions.showDiagnostics === true;
+        const onDiagnostics = typeof renderOptions.onDiagnostics === "function" ? renderOptions.onDiagnostics : null;
+        if (!wantsOverlay && !onDiagnostics) return;
+
+        const diagnostics = Renderer.validateCard(cardJson);
+        if (wantsOverlay) Renderer.showDiagnostics(container, diagnostics);
+        if (onDiagnostics && diagnostics.length) {
+            try {
+                onDiagnostics(diagnostics);
+            } catch (err) {
+                console.error("[AdaptiveCards] onDiagnostics failed:", err);
             }
-            return document.createElement('div');
         }
+    }
+
+    // --- update(): diff two versions of a card and patch the rendered one ---
+    // Child lists walked element by element; every other property is compared as a whole
+    const LAYOUT_CHILDREN = {
+        "Container": "items",
+        "Column": "items",
+        "ColumnSet": "columns",
+        "Table": "rows",
+        "TableRow": "cells",
+        "TableCell": "items"
     };
+    // Rendered by their parent rather than renderItems, so they can't be swapped on their own
+    const NESTED_ONLY = ["Column", "TableRow", "TableCell"];
+
+    function activityIdOf(card) {
+        return (card && card._metadata && card._metadata.activityId) || null;
+    }
+
+    function findById(host, id) {
+        return Array.from(host.querySelectorAll("[data-ac-id]"))
+            .find((n) => n.getAttribute("data-ac-id") === id) || null;
+    }
+
+    // Ids of inputs whose value differs between two versions of a card
+    function changedValueIds(previous, next) {
+        const valuesOf = (card) => {
+            const values = new Map();
+            const walk = (node) => {
+                if (Array.isArray(node)) return node.forEach(walk);
+                if (!node || typeof node !== "object") return;
+                if (isInputType(node.type) && node.id) values.set(node.id, JSON.stringify(node.value ?? null));
+                Object.entries(node).forEach(([key, child]) => {
+                    if (key !== "value") walk(child);
+                });
+            };
+            walk(card.body);
+            walk(card.actions);
+            return values;
+        };
+        const before = valuesOf(previous);
+        const after = valuesOf(next);
+        const ids = new Set();
+        after.forEach((v, id) => {
+            if (before.get(id) !== v) ids.add(id);
+        });
+        return ids;
+    }
+
+    // { rerender: [element], visibility: [element] } when next only changes elements that have an id,
+    // null when the layout differs (card-level settings, actions, types, ids or item counts).
+    function diffCard(previous, next) {
+        const cardLevel = (card) => {
+            const rest = Object.assign({}, card);
+            delete rest.body;
+            delete rest.validationErrors;
+            return JSON.stringify(rest);
+        };
+        if (cardLevel(previous) !== cardLevel(next)) return null;
+
+        const changes = { rerender: [], visibility: [] };
+        return diffItems(previous.body, next.body, changes) ? changes : null;
+    }
+
+    function diffItems(previousItems, nextItems, changes) {
+        const before = Array.isArray(previousItems) ? previousItems : [];
+        const after = Array.isArray(nextItems) ? nextItems : [];
+        return before.length === after.length && after.every((next, i) => diffElement(before[i], next, changes));
+    }
+
+    function diffElement(previous, next, changes) {
+        if (!previous || !next || typeof next !== "object" || previous.type !== next.type || previous.id !== next.id) return false;
+
+        const childKey = LAYOUT_CHILDREN[next.type];
+        const own = (element) => {
+            const rest = Object.assign({}, element);
+            delete rest[childKey];
+            delete rest.value;
+            delete rest.isVisible;
+            return JSON.stringify(rest);
+        };
+        const valueChanged = isInputType(next.type) &&
+            JSON.stringify(previous.value ?? null) !== JSON.stringify(next.value ?? null);
+
+        if (valueChanged || own(previous) !== own(next)) {
+            // Wizard pages are wired together at render time, so changing one means a full render
+            if (!next.id || NESTED_ONLY.includes(next.type) || next.isPage === true) return false;
+            changes.rerender.push(next);
+            return true;
+        }
+        if ((previous.isVisible === false) !== (next.isVisible === false)) {
+            if (!next.id) return false;
+            changes.visibility.push(next);
+        }
+        return !childKey || diffItems(previous[childKey], next[childKey], changes);
+    }
+
+    // Swap one element's DOM for a fresh render of its new JSON, seeded with the user's kept entries
+    function replaceElement(host, element, values) {
+        const current = findById(host, element.id);
+        if (!current) return;
+        const outer = visibilityTarget(current);
+
+        const before = outer.previousElementSibling;
+        const labelSource = before && before.classList.contains("ac-textBlock")
+            ? (before.querySelector(":scope > .ac-textBlock-label") || before)
+            : null;
+        const seeded = applyDraft({ body: [element] }, values).body[0];
+        const node = Renderer.renderItem(seeded, { index: before ? 1 : 0, labelSource });
+
+        // A TextBlock keeps its label id so the input below stays named by it
+        if (element.type === "TextBlock") {
+            const oldLabel = outer.querySelector(".ac-textBlock-label") || outer;
+            const newLabel = node.querySelector(".ac-textBlock-label") || node;
+            if (oldLabel.id) newLabel.id = oldLabel.id;
+        }
+        outer.replaceWith(node);
+    }
+
+    // Focus is remembered by element id (or field id) because its node may be replaced
+    function captureFocus(host) {
+        const active = document.activeElement;
+        if (!active || active === document.body || !host.contains(active)) return null;
+        const field = active.closest("[data-field-id]");
+        const selection = typeof active.selectionStart === "number"
+            ? { start: active.selectionStart, end: active.selectionEnd }
+            : null;
+        return { node: active, id: active.id || null, fieldId: field ? field.getAttribute("data-field-id") : null, selection };
+    }
+
+    function restoreFocus(host, focus) {
+        if (!focus || (host.contains(focus.node) && document.activeElement === focus.node)) return;
+        let target = host.contains(focus.node) ? focus.node : null;
+        if (!target && focus.id) {
+            const byId = document.getElementById(focus.id);
+            target = byId && host.contains(byId) ? byId : null;
+        }
+        if (!target && focus.fieldId) {
+            const field = findField(host, focus.fieldId);
+            target = field && (field.querySelector(".ac-tag-chip[tabindex='0']") ||
+                field.querySelector("input:not([type='hidden']), select, textarea"));
+        }
+        if (!target || typeof target.focus !== "function") return;
+        target.focus({ preventScroll: true });
+        if (focus.selection && typeof target.setSelectionRange === "function") {
+            try {
+                target.setSelectionRange(focus.selection.start, focus.selection.end);
+            } catch { /* not a text control */ }
+        }
+    }
+
+    // Scroll offsets of the window and every scrolled ancestor (e.g. the chat message list)
+    function captureScroll(host) {
+        const offsets = [];
+        for (let node = host.parentElement; node; node = node.parentElement) {
+            if (node.scrollTop) offsets.push([node, node.scrollTop]);
+        }
+        return { offsets, x: window.scrollX, y: window.scrollY };
+    }
+
+    function restoreScroll(scroll) {
+        scroll.offsets.forEach(([node, top]) => { node.scrollTop = top; });
+        if (window.scrollX !== scroll.x || window.scrollY !== scroll.y) window.scrollTo(scroll.x, scroll.y);
+    }
+
+    // The element assistive tech treats as the input: a radio/checkbox group, else the first control
+    function inputTarget(field) {
+        if (!field || !field.querySelector) return null;
+        if (field.hasAttribute("role")) return field;
+        // Groups first: a TagSelect's search box precedes its chips
+        return field.querySelector("[role='radiogroup'], [role='group']") ||
+            field.querySelector("input:not([type='hidden']), select, textarea");
+    }
+
+    // Give an input an accessible name: its own label, else the TextBlock above it, else its placeholder
+    function labelInput(node, element, labelSource) {
+        const target = inputTarget(node);
+        if (!target) return;
+        if (element.isRequired === true) target.setAttribute("aria-required", "true");
+
+        if (element.label) {
+            // Only form controls can be the target of <label for>; groups are aria-labelledby
+            const isGroup = !["INPUT", "SELECT", "TEXTAREA"].includes(target.tagName);
+            const label = el(isGroup ? "div" : "label", "ac-input-label", { id: nextId("ac-label"), text: element.label });
+            if (isGroup) {
+                target.setAttribute("aria-labelledby", label.id);
+            } else {
+                if (!target.id) target.id = nextId("ac-input");
+                label.setAttribute("for", target.id);
+            }
+            node.insertBefore(label, node.firstChild);
+            return;
+        }
+
+        if (target.labels && target.labels.length) return; // e.g. a Toggle's own label
+        if (labelSource) {
+            if (!labelSource.id) labelSource.id = nextId("ac-label");
+            target.setAttribute("aria-labelledby", labelSource.id);
+            return;
+        }
+        const fallback = element.placeholder || element.title || element.text;
+        if (fallback) target.setAttribute("aria-label", fallback);
+    }
+
+    function accessibleName(field) {
+        const target = inputTarget(field);
+        if (!target) return "";
+        const ref = target.getAttribute("aria-labelledby");
+        const labelNode = ref ? document.getElementById(ref) : (target.labels && target.labels[0]);
+        const text = labelNode ? labelNode.textContent : target.getAttribute("aria-label");
+        return (text || "").replace(/\s*\*\s*$/, "").trim();
+    }
+
+    // Help content for an element: helpText (short rich text) or a plain tooltip
+    function helpOf(element) {
+        const help = element && (element.helpText != null ? element.helpText : element.tooltip);
+        return help != null && String(help).trim() ? String(help) : null;
+    }
+
+    // ⓘ button + popover for helpText/tooltip. It sits next to a TextBlock's text, beside an input's
+    // own label, or in the element's top corner. Hover and focus open it; a tap/click pins it open so
+    // its links can be reached; Escape or moving focus away closes it.
+    function attachHelp(node, element, labelSource) {
+        const help = helpOf(element);
+        if (!help || !node || node.nodeType !== 1) return;
+
+        const subject = element.type === "TextBlock" ? element.text
+            : element.label || (labelSource && labelSource.textContent) || element.placeholder || element.title;
+        const wrap = el("span", "ac-help");
+        const popover = el("div", "ac-help-popover", { id: nextId("ac-help") });
+        popover.hidden = true;
+        appendRichText(popover, help);
+        const button = el("button", "ac-help-icon", {
+            type: "button",
+            "aria-label": t("info.label", { field: String(subject || "").trim() || t("info.thisField") }),
+            "aria-expanded": "false",
+            "aria-controls": popover.id,
+            "aria-describedby": popover.id
+        });
+        button.textContent = "ⓘ";
+
+        let pinned = false;
+        let refocusing = false;
+        const setOpen = (open) => {
+            popover.hidden = !open;
+            button.setAttribute("aria-expanded", String(open));
+            if (!open) pinned = false;
+        };
+        wrap.addEventListener("mouseenter", () => setOpen(true));
+        wrap.addEventListener("mouseleave", () => { if (!pinned) setOpen(false); });
+        button.addEventListener("focus", () => { if (!refocusing) setOpen(true); });
+        button.addEventListener("click", (e) => {
+            e.preventDefault();
+            if (pinned) {
+                setOpen(false);
+            } else {
+                setOpen(true);
+                pinned = true;
+            }
+        });
+        wrap.addEventListener("focusout", (e) => {
+            if (!wrap.contains(e.relatedTarget)) setOpen(false);
+        });
+        wrap.addEventListener("keydown", (e) => {
+            if (e.key !== "Escape" || popover.hidden) return;
+            e.stopPropagation();
+            setOpen(false);
+            // Escape from a link inside the popover returns to the button without reopening it
+            refocusing = true;
+            button.focus();
+            refocusing = false;
+        });
+        wrap.appendChild(button);
+        wrap.appendChild(popover);
+
+        const label = node.querySelector(":scope > .ac-input-label");
+        if (element.type === "TextBlock") {
+            node.appendChild(wrap);
+        } else if (label) {
+            // Kept out of the <label> so the button's name doesn't join the input's
+            const row = el("div", "ac-label-row");
+            node.insertBefore(row, label);
+            row.appendChild(label);
+            row.appendChild(wrap);
+        } else {
+            wrap.classList.add("ac-help-corner");
+            node.insertBefore(wrap, node.firstChild);
+        }
+    }
+
+    // Short rich text for help: **bold**, _italic_, [label](url) and line breaks. Built from DOM
+    // nodes (never innerHTML); links follow the Action.OpenUrl policy when clicked.
+    const RICH_TEXT_PATTERN = /\*\*(.+?)\*\*|(?<!\w)_(.+?)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)|\n/g;
+
+    function appendRichText(parent, text) {
+        let last = 0;
+        text.replace(RICH_TEXT_PATTERN, (match, bold, italic, label, href, offset) => {
+            if (offset > last) parent.appendChild(document.createTextNode(text.slice(last, offset)));
+            last = offset + match.length;
+            if (bold) parent.appendChild(el("strong", null, { text: bold }));
+            else if (italic) parent.appendChild(el("em", null, { text: italic }));
+            else if (label) parent.appendChild(helpLink(label, href));
+            else parent.appendChild(el("br"));
+            return match;
+        });
+        if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+    }
+
+    function helpLink(label, href) {
+        // Anything but web, mail and phone links stays plain text (no javascript:, data:, ...)
+        if (!/^(https?:|mailto:|tel:|\/)/i.test(href)) return document.createTextNode(label);
+        const link = el("a", "ac-help-link", { href, target: "_blank", rel: "noopener noreferrer", text: label });
+        link.addEventListener("click", (e) => {
+            if (isUrlAllowed(href, renderOptionsOf(link))) return;
+            e.preventDefault();
+            console.warn(`[AdaptiveCards] Blocked help link to non-allowlisted URL: ${href}`);
+        });
+        return link;
+    }
+
+    // Point the input at its error message so screen readers read it with the field
+    function describeError(field, messageNode) {
+        const target = inputTarget(field);
+        if (!target) return;
+        if (!messageNode.id) messageNode.id = nextId("ac-error");
+        target.setAttribute("aria-invalid", "true");
+        target.setAttribute("aria-describedby", messageNode.id);
+    }
+
+    // Speak a message through the host's (lazily created) assertive live region
+    function announce(host, message) {
+        const root = host.nodeType === Node.DOCUMENT_NODE ? document.body : host;
+        let region = root.querySelector(":scope > .ac-live-region");
+        if (!region) {
+            region = el("div", "ac-live-region", { "aria-live": "assertive", "aria-atomic": "true" });
+            root.appendChild(region);
+        }
+        // Clear first so repeating the same message is announced again
+        region.textContent = "";
+        setTimeout(() => { region.textContent = message; }, 50);
+    }
+
+    // Stamp validation rules onto an input's container so validateInputs can find them
+    function annotateInput(node, element) {
+        if (!node || !node.classList || !element.id) return node;
+
+        node.setAttribute("data-field-id", element.id);
+        node.setAttribute("data-ac-input-type", element.type);
+        if (element.isRequired === true) node.setAttribute("data-field-required", "true");
+
+        const rules = {
+            "data-ac-regex": element.regex,
+            "data-ac-min": element.min,
+            "data-ac-max": element.max,
+            "data-ac-max-length": element.maxLength,
+            "data-ac-max-selections": element.isMultiSelect === true ? element.maxSelections : null,
+            "data-ac-error-message": element.errorMessage
+        };
+        for (const [attr, v] of Object.entries(rules)) {
+            if (v !== undefined && v !== null && v !== "") node.setAttribute(attr, String(v));
+        }
+
+        // Clear this field's error as soon as the user changes it
+        const clear = () => clearFieldError(node);
+        node.addEventListener("input", clear);
+        node.addEventListener("change", clear);
+        if (element.type === "Input.TagSelect") {
+            node.addEventListener("click", (e) => {
+                if (e.target.closest(".ac-tag-chip")) clear();
+            });
+        }
+        return node;
+    }
+
+    // Check one collected value: the shared required rule, then the element type's own validate()
+    function validateField(field, value) {
+        const custom = field.getAttribute("data-ac-error-message");
+        const fail = (fallback) => custom || fallback;
+
+        const isEmpty = value === null || value === undefined || String(value).trim() === "";
+        if (isEmpty) {
+            return field.getAttribute("data-field-required") === "true"
+                ? fail(t("validation.required", null, field))
+                : null;
+        }
+
+        const definition = elementRegistry.get(field.getAttribute("data-ac-input-type"));
+        const message = definition && definition.validate ? definition.validate(value, field) : null;
+        return message ? fail(message) : null;
+    }
+
+    function validateTextValue(value, field) {
+        const text = String(value);
+        const maxLength = Number(field.getAttribute("data-ac-max-length"));
+        if (maxLength > 0 && text.length > maxLength) {
+            return t("validation.maxLength", { max: maxLength }, field);
+        }
+
+        const regex = field.getAttribute("data-ac-regex");
+        if (regex) {
+            try {
+                if (!new RegExp(regex).test(text)) return t("validation.invalid", null, field);
+            } catch (err) {
+                console.warn(`[AdaptiveCards] Ignoring invalid regex for ${field.getAttribute("data-field-id")}:`, err);
+            }
+        }
+        return null;
+    }
+
+    function validateNumberValue(value, field) {
+        const num = Number(value);
+        const min = field.getAttribute("data-ac-min");
+        const max = field.getAttribute("data-ac-max");
+        const locale = localeOf(field);
+        if (!Number.isFinite(num)) return t("validation.invalid", null, field);
+        if (min !== null && min !== "" && num < Number(min)) return t("validation.min", { min: Number(min).toLocaleString(locale) }, field);
+        if (max !== null && max !== "" && num > Number(max)) return t("validation.max", { max: Number(max).toLocaleString(locale) }, field);
+        return null;
+    }
+
+    function validateDateValue(value, field) {
+        // ISO yyyy-mm-dd strings compare correctly as text
+        const text = String(value);
+        const min = field.getAttribute("data-ac-min");
+        const max = field.getAttribute("data-ac-max");
+        const locale = localeOf(field);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return t("validation.invalid", null, field);
+        if (min && text < min) return t("validation.minDate", { min: formatDate(min, locale) || min }, field);
+        if (max && text > max) return t("validation.maxDate", { max: formatDate(max, locale) || max }, field);
+        return null;
+    }
+
+    // A toggle always submits valueOn/valueOff, so "required" means switched on
+    function validateToggleValue(value, field) {
+        const toggle = field.querySelector("input.ac-toggle");
+        const isOff = !toggle || !toggle.checked;
+        return isOff && field.getAttribute("data-field-required") === "true" ? t("validation.required", null, field) : null;
+    }
+
+    function findField(host, id) {
+        return Array.from(host.querySelectorAll("[data-ac-input-type]"))
+            .find((node) => node.getAttribute("data-field-id") === id) || null;
+    }
+
+    function clearFieldError(field) {
+        field.classList.remove("has-error");
+        field.removeAttribute("data-field-error");
+        const target = inputTarget(field);
+        if (target) {
+            target.removeAttribute("aria-invalid");
+            target.removeAttribute("aria-describedby");
+        }
+        const wrapper = field.parentElement;
+        if (wrapper && wrapper.classList.contains("ac-field-with-error")) {
+            wrapper.querySelectorAll(":scope > .ac-error-message").forEach((msg) => msg.remove());
+        }
+    }
+
+    // If the field sits on an inactive wizard page, switch the wizard to that page
+    function revealField(host, id) {
+        const field = findField(host, id);
+        if (!field) return;
+        let node = field.parentElement;
+        while (node && !node.acWizard) node = node.parentElement;
+        if (node) node.acWizard.showPageOf(field);
+    }
+
+    function focusField(host, id) {
+        const field = findField(host, id);
+        const target = field && (field.querySelector(".ac-tag-chip[tabindex='0']") ||
+            field.querySelector(".ac-signature:not(.is-typed) .ac-signature-canvas") ||
+            field.querySelector("input:not([type='hidden']):not([hidden]), select, textarea"));
+        if (target && typeof target.focus === "function") target.focus();
+    }
 
     // Apply required styling to form fields
     function applyRequiredStyling() {
@@ -605,11 +3243,13 @@
             field.classList.add('ac-required-field');
             
             // Find any labels in this field and add a required indicator
-            const labels = field.querySelectorAll('label');
+            // (decorative: aria-required already tells assistive tech)
+            const labels = field.querySelectorAll('label, .ac-input-label');
             labels.forEach(label => {
                 if (!label.querySelector('.ac-required-indicator')) {
                     const indicator = document.createElement('span');
                     indicator.className = 'ac-required-indicator';
+                    indicator.setAttribute('aria-hidden', 'true');
                     indicator.textContent = ' *';
                     label.appendChild(indicator);
                 }
@@ -619,11 +3259,383 @@
     
     // Hook into the render method to apply required styling after rendering
     const originalRender = Renderer.render;
-    Renderer.render = function(cardJson, container, onSubmit) {
-        originalRender.call(this, cardJson, container, onSubmit);
+    Renderer.render = function(cardJson, container, onSubmit, options) {
+        originalRender.call(this, cardJson, container, onSubmit, options);
         // Apply styling after rendering
         setTimeout(applyRequiredStyling, 0);
     };
 
+    // --- Built-in elements and actions (same registry the host uses) ---
+    // Filtered ChoiceSet: wait this long after the last keystroke before querying, show at most this many results
+    const CHOICES_QUERY_DELAY_MS = 250;
+    const FILTERED_CHOICES_LIMIT = 25;
+
+    // Choices from cards or .NET queries as { title, value } strings
+    function normalizeChoice(choice) {
+        if (!choice || choice.value == null) return null;
+        return { title: String(choice.title ?? choice.value), value: String(choice.value) };
+    }
+
+    // Options passed to render() for the card that contains node
+    function renderOptionsOf(node) {
+        while (node && !node.acRenderOptions) node = node.parentElement;
+        return (node && node.acRenderOptions) || {};
+    }
+
+    // TagSelect lists longer than this get a search box unless isSearchable says otherwise
+    const TAG_SEARCH_THRESHOLD = 8;
+
+    // Initial TagSelect selection: multi-select takes an array or a comma-separated string
+    function tagValues(value, isMulti) {
+        if (value == null || value === "") return [];
+        if (Array.isArray(value)) return value.map(String);
+        return isMulti ? String(value).split(",").map((s) => s.trim()).filter(Boolean) : [String(value)];
+    }
+
+    function isInputType(type) {
+        const definition = typeof type === "string" ? elementRegistry.get(type) : null;
+        return !!(definition && definition.collect);
+    }
+
+    // Text, number and date inputs; masked inputs submit the unmasked value.
+    // Typed: Input.Number gives a number and anything empty gives null (dates are already ISO yyyy-mm-dd).
+    function collectFieldValue(field, { typed } = {}) {
+        const input = field.querySelector("input.ac-input, textarea.ac-input");
+        let value = "";
+        if (input) {
+            const mask = input.dataset.mask;
+            if (mask) value = unmask(input.value ?? "", mask);
+            else if (input.dataset.numberFormat) value = parseFormattedNumber(input.value ?? "", numberFormatOf(input));
+            else value = input.value ?? "";
+        }
+        if (!typed) return value;
+        if (value === "") return null;
+        if (field.getAttribute("data-ac-input-type") !== "Input.Number") return value;
+        // Validation has already rejected anything that isn't a number; keep the text just in case
+        const n = Number(value);
+        return Number.isFinite(n) ? n : value;
+    }
+
+    // Compact <select> (supports multiple), filtered combobox or expanded radio/checkbox group
+    function collectChoiceSet(field, { typed } = {}) {
+        // Unpicked typed text is returned as-is so validation can reject it
+        const combo = field.querySelector("input.ac-combobox");
+        if (combo) {
+            const value = combo.getAttribute("data-value") ?? combo.value.trim();
+            return typed && value === "" ? null : value;
+        }
+
+        const select = field.querySelector("select.ac-input");
+        if (select) {
+            if (!select.multiple) return typed ? (select.value || null) : (select.value ?? "");
+            const values = Array.from(select.selectedOptions).map((o) => o.value ?? "");
+            // AdaptiveCards uses comma-separated for multi
+            return typed ? values : values.join(",");
+        }
+
+        const options = Array.from(field.querySelectorAll("input[data-ac-group]"));
+        if (options.length && options[0].type === "checkbox") {
+            const values = options.filter((i) => i.checked).map((i) => i.value ?? "");
+            return typed ? values : values.join(",");
+        }
+        // Use null explicitly when nothing is selected, ensuring it's properly serialized as JSON null
+        const checked = options.find((i) => i.checked);
+        return checked ? (checked.value ?? "") : null;
+    }
+
+    // Single checkbox with valueOn/valueOff (typed: true/false)
+    function collectToggle(field, { typed } = {}) {
+        const input = field.querySelector("input.ac-toggle");
+        if (!input) return null;
+        if (typed) return input.checked;
+        return input.checked ? (input.dataset.valueOn ?? "true") : (input.dataset.valueOff ?? "false");
+    }
+
+    // Single: selected chip, else the custom text. Multi: every selected chip plus any
+    // not-yet-committed custom text, comma-separated like a multi-select ChoiceSet (typed: an array).
+    function collectTagSelect(field, { typed } = {}) {
+        const customInput = field.querySelector(".ac-tagSelect-custom");
+        const pending = customInput ? customInput.value.trim() : "";
+        const selected = Array.from(field.querySelectorAll(".ac-tag-chip.selected")).map((chip) => chip.getAttribute("data-value"));
+
+        if (field.querySelector(".ac-tagSelect-group[data-multi-select]")) {
+            const values = Array.from(new Set(selected.concat(pending.split(",").map((s) => s.trim()).filter(Boolean))));
+            return typed ? values : values.join(",");
+        }
+        const value = selected.length ? selected[0] : pending;
+        return typed ? (value || null) : value;
+    }
+
+    // Filtered ChoiceSet: text that was never matched to a choice can't be submitted
+    function validateChoiceSetValue(value, field) {
+        const combo = field.querySelector("input.ac-combobox");
+        return combo && !combo.hasAttribute("data-value") ? t("validation.chooseFromList", null, field) : null;
+    }
+
+    function validateTagSelectValue(value, field) {
+        const max = Number(field.getAttribute("data-ac-max-selections"));
+        const count = String(value).split(",").filter(Boolean).length;
+        return max > 0 && count > max ? t("validation.maxSelections", { max }, field) : null;
+    }
+
+    // One object per row, keyed by the template's field ids
+    function collectRepeatGroup(field, { renderer, typed }) {
+        return Array.from(field.querySelectorAll(":scope > .ac-repeatGroup-rows > .ac-repeatGroup-row"))
+            .map((row) => {
+                const prefix = row.getAttribute("data-row-prefix") || "";
+                const rowData = {};
+                for (const [key, v] of Object.entries(renderer.collectInputs(row, { typed }))) {
+                    rowData[key.startsWith(prefix) ? key.slice(prefix.length) : key] = v;
+                }
+                return rowData;
+            });
+    }
+
+    // Input.Signature: canvas size in pixels (shown scaled to the card width), default ink and the typed-name font
+    const SIGNATURE_WIDTH = 600;
+    const SIGNATURE_HEIGHT = 180;
+    const SIGNATURE_INK = "#1b1b1b";
+    const SIGNATURE_FONT = "italic 48px \"Segoe Script\", \"Brush Script MT\", \"Lucida Handwriting\", cursive";
+
+    // A signature value as submitted, or its JSON (how a C# card sends it back); null otherwise
+    function signatureValue(value) {
+        if (typeof value === "string" && value.trim().startsWith("{")) {
+            try {
+                value = JSON.parse(value);
+            } catch {
+                return null;
+            }
+        }
+        return value && typeof value === "object" && !Array.isArray(value) ? value : null;
+    }
+
+    // { method: "drawn"|"typed", name (typed), dataUrl (PNG; null if the canvas can't be exported),
+    //   strokes (drawn), width, height, signedAt (ISO) }, or empty ("" / typed null) when not signed
+    function collectSignature(field, { typed } = {}) {
+        const state = field.acSignature;
+        const canvas = field.querySelector(".ac-signature-canvas");
+        const nameInput = field.querySelector(".ac-signature-name");
+        const isTyped = !!state && state.method === "typed";
+        const name = isTyped && nameInput ? nameInput.value.trim() : "";
+        if (!state || !canvas || (isTyped ? !name : !state.strokes.length)) return typed ? null : "";
+
+        let dataUrl = null;
+        try {
+            dataUrl = canvas.toDataURL("image/png") || null;
+        } catch (err) {
+            console.warn("[AdaptiveCards] Could not export the signature image:", err);
+        }
+        const signature = { method: state.method, dataUrl, width: canvas.width, height: canvas.height, signedAt: state.signedAt };
+        if (isTyped) signature.name = name;
+        else signature.strokes = state.strokes.map((stroke) => stroke.map((point) => point.slice()));
+        return signature;
+    }
+
+    const BUILT_IN_ELEMENTS = {
+        "TextBlock": { render: (element, { renderer }) => renderer.renderTextBlock(element) },
+        "Container": { render: (element, { renderer, validationErrors }) => renderer.renderContainer(element, validationErrors) },
+        "ColumnSet": { render: (element, { renderer, validationErrors }) => renderer.renderColumnSet(element, validationErrors) },
+        "Column": { render: (element, { renderer, validationErrors }) => renderer.renderColumn(element, validationErrors) },
+        "FactSet": { render: (element, { renderer }) => renderer.renderFactSet(element) },
+        "Table": { render: (element, { renderer, validationErrors }) => renderer.renderTable(element, validationErrors) },
+        "Input.Text": { render: (element, { renderer }) => renderer.renderInputText(element), collect: collectFieldValue, validate: validateTextValue },
+        "Input.Number": { render: (element, { renderer }) => renderer.renderInputNumber(element), collect: collectFieldValue, validate: validateNumberValue },
+        "Input.Date": { render: (element, { renderer }) => renderer.renderInputDate(element), collect: collectFieldValue, validate: validateDateValue },
+        "Input.ChoiceSet": { render: (element, { renderer }) => renderer.renderChoiceSet(element), collect: collectChoiceSet, validate: validateChoiceSetValue },
+        "Input.Toggle": { render: (element, { renderer }) => renderer.renderInputToggle(element), collect: collectToggle, validate: validateToggleValue },
+        "Input.TagSelect": { render: (element, { renderer }) => renderer.renderTagSelect(element), collect: collectTagSelect, validate: validateTagSelectValue },
+        "Input.RepeatGroup": {
+            render: (element, { renderer, validationErrors }) => renderer.renderRepeatGroup(element, validationErrors),
+            collect: collectRepeatGroup
+        },
+        "Input.Signature": { render: (element, { renderer }) => renderer.renderSignature(element), collect: collectSignature }
+    };
+
+    // Type-specific properties of the built-ins, for validateCard (common ones are in COMMON_*_PROPERTIES)
+    const CONTAINER_STYLE_PROPERTIES = ["style", "bleed", "verticalContentAlignment", "minHeight", "selectAction",
+        "backgroundImage", "rtl"];
+    const BUILT_IN_PROPERTIES = {
+        "TextBlock": ["text", "size", "weight", "color", "wrap", "isSubtle", "horizontalAlignment", "fontType", "maxLines",
+            "style"],
+        "Container": ["items", "isPage", "pageTitle", ...CONTAINER_STYLE_PROPERTIES],
+        "ColumnSet": ["columns", "horizontalAlignment", ...CONTAINER_STYLE_PROPERTIES],
+        "Column": ["items", "width", ...CONTAINER_STYLE_PROPERTIES],
+        "FactSet": ["facts"],
+        "Table": ["columns", "rows", "firstRowAsHeader", "showGridLines", "gridStyle",
+            "horizontalCellContentAlignment", "verticalCellContentAlignment"],
+        "Input.Text": ["placeholder", "text", "isMultiline", "maxLength", "regex", "mask", "inlineAction"],
+        "Input.Number": ["placeholder", "min", "max", "step", "format", "currency", "locale", "decimals"],
+        "Input.Date": ["min", "max", "placeholder"],
+        "Input.ChoiceSet": ["choices", "choices.data", "placeholder", "isMultiSelect", "maxSelections", "errorStyle", "wrap"],
+        "Input.Toggle": ["title", "text", "valueOn", "valueOff", "wrap"],
+        "Input.TagSelect": ["choices", "isMultiSelect", "maxSelections", "allowCustom", "customPlaceholder",
+            "visibleCount", "isSearchable"],
+        "Input.RepeatGroup": ["items", "minRows", "maxRows", "rowTitle", "addButtonTitle", "removeButtonTitle"],
+        "Input.Signature": ["placeholder", "penColor", "allowTyped"]
+    };
+
+    // Catalog keys for actions without a title
+    const DEFAULT_ACTION_TITLES = {
+        "Action.Submit": "action.submit",
+        "Action.Execute": "action.submit"
+    };
+
+    // _metadata.typedPayload: true opts a card into typed submit/execute payloads (see collectInputs);
+    // without it inputs are sent as Adaptive Cards strings ("a,b", "42", "true")
+    function isTypedPayload(host) {
+        const card = host && host.acCard;
+        return !!(card && card._metadata && card._metadata.typedPayload === true);
+    }
+
+    function submitAction({ data, associatedInputs }, { host, button, onSubmit }) {
+        // One submission at a time per card: clicks while one is in flight are duplicates
+        // (a different card rendered into the same host is not held up by it)
+        const activityId = activityIdOf(host.acCard);
+        const previous = host.acSubmission;
+        if (previous && previous.status === "pending" && previous.activityId === activityId) {
+            console.debug("[AdaptiveCards] Submit ignored; the previous submission is still pending");
+            return;
+        }
+
+        const includeInputs = String(associatedInputs || "auto").toLowerCase() !== "none";
+
+        // Validate before anything leaves the browser
+        if (includeInputs && !Renderer.validateAndReport(host)) return;
+
+        // Kept for review(): the summary shown once the server confirms this submission
+        if (includeInputs && host.acCard) {
+            host.acSubmitted = { activityId: activityIdOf(host.acCard), values: Renderer.collectInputs(host) };
+        }
+
+        const payload = includeInputs ? Renderer.collectInputs(host, { typed: isTypedPayload(host) }) : {};
+        // merge static action data
+        if (data) Object.assign(payload, data);
+
+        // Every submit of this card version (a retry, or a resubmit after .NET acknowledged it)
+        // carries the same key, so the server handles it once; its next card starts a new version
+        const key = submissionKey(activityId, host.acCardVersion);
+        return sendSubmission(host, { key, activityId, payload, status: "new" }, button, onSubmit);
+    }
+
+    // --- Submission pipeline ---
+    // host.acSubmission = { key, activityId, payload, status: "pending" | "sent" | "failed" } for the
+    // card's latest submission. The idempotency key is "<activityId>:v<card version>", one per rendered card.
+    function submissionKey(activityId, version) {
+        return `${activityId || "card"}:v${version || 0}`;
+    }
+
+    // Exactly one OnCardSubmit per attempt: through render()'s onSubmit when there is one (the Blazor
+    // bridge), else the wrapper's dotNetHelper. Resolves once .NET has acknowledged it.
+    function deliverSubmission(host, submission, onSubmit) {
+        if (typeof onSubmit === "function") {
+            return Promise.resolve().then(() => onSubmit(submission.payload, { idempotencyKey: submission.key }));
+        }
+        const wrapper = host && host.parentElement;
+        if (wrapper && wrapper.dotNetHelper && typeof wrapper.dotNetHelper.invokeMethodAsync === "function") {
+            console.debug("[AdaptiveCards] Invoking Blazor OnCardSubmit", submission.key, submission.payload);
+            return Promise.resolve().then(() =>
+                wrapper.dotNetHelper.invokeMethodAsync("OnCardSubmit", submission.payload, submission.key));
+        }
+        console.warn("[AdaptiveCards] No submit handler; payload not sent:", submission.payload);
+        return Promise.resolve();
+    }
+
+    // The button stays busy until .NET answers; a failure leaves a Retry next to the actions
+    function sendSubmission(host, submission, button, onSubmit) {
+        clearSubmitError(host);
+        submission.status = "pending";
+        host.acSubmission = submission;
+        setBusy(button, true);
+
+        const draft = host.acDraft;
+        return deliverSubmission(host, submission, onSubmit)
+            .then(() => {
+                submission.status = "sent";
+                if (!draft) return;
+                Renderer.clearDraft(draft.activityId);
+                // Stop autosaving this card so a pending save can't resurrect the draft
+                if (host.acDraft === draft) host.acDraft = null;
+            })
+            .catch((err) => {
+                submission.status = "failed";
+                console.error("[AdaptiveCards] OnCardSubmit failed; draft kept:", err);
+                showSubmitError(host, button, () => sendSubmission(host, submission, button, onSubmit));
+            })
+            .finally(() => setBusy(button, false));
+    }
+
+    function setBusy(button, busy) {
+        button.disabled = busy;
+        button.classList.toggle("is-busy", busy);
+        if (busy) button.setAttribute("aria-busy", "true");
+        else button.removeAttribute("aria-busy");
+    }
+
+    function showSubmitError(host, button, retry) {
+        const notice = el("div", "ac-submit-error", { role: "alert" });
+        notice.appendChild(el("span", "ac-submit-error-text", { text: t("submit.failed", null, button) }));
+        const retryBtn = el("button", "ac-pushButton ac-secondary ac-submit-retry", { type: "button", text: t("submit.retry", null, button) });
+        retryBtn.addEventListener("click", () => {
+            if (!host.acSubmission || host.acSubmission.status !== "pending") retry();
+        });
+        notice.appendChild(retryBtn);
+
+        // Under the actions that sent it; at the end of the card if the card was re-rendered meanwhile
+        const actionSet = button.closest(".ac-actionSet");
+        if (actionSet && actionSet.isConnected) actionSet.after(notice);
+        else (host === document ? document.body : host).appendChild(notice);
+    }
+
+    function clearSubmitError(host) {
+        host.querySelectorAll(".ac-submit-error").forEach((notice) => notice.remove());
+    }
+
+    function executeAction({ data, associatedInputs, verb }, { host, button, onSubmit }) {
+        const includeInputs = String(associatedInputs || "auto").toLowerCase() !== "none";
+        if (includeInputs && !Renderer.validateAndReport(host)) return;
+
+        const payload = includeInputs ? Renderer.collectInputs(host, { typed: isTypedPayload(host) }) : {};
+        if (data) Object.assign(payload, data);
+
+        button.disabled = true;
+        button.classList.add('is-busy');
+        return Renderer.runExecute(host, verb, payload, onSubmit)
+            .catch((err) => console.error("Execute error:", err))
+            .finally(() => {
+                button.disabled = false;
+                button.classList.remove('is-busy');
+            });
+    }
+
+    function openUrlAction({ url }, { host }) {
+        const allowed = isUrlAllowed(url, host && host.acRenderOptions);
+        if (!allowed) {
+            console.warn(`[AdaptiveCards] Blocked Action.OpenUrl to non-allowlisted URL: ${url}`);
+            return;
+        }
+        window.open(allowed, '_blank', 'noopener,noreferrer');
+    }
+
+    const BUILT_IN_ACTIONS = {
+        "Action.Submit": submitAction,
+        "Action.Execute": executeAction,
+        "Action.OpenUrl": openUrlAction,
+        "Action.ShowCard": () => { /* expand/collapse is wired up by renderActionSet, which owns the panel */ },
+        "Action.ToggleVisibility": ({ targetElements }, { host }) => Renderer.toggleVisibility(host, targetElements)
+    };
+
+    const BUILT_IN_ACTION_PROPERTIES = {
+        "Action.Submit": ["data", "associatedInputs"],
+        "Action.Execute": ["verb", "data", "associatedInputs"],
+        "Action.OpenUrl": ["url"],
+        "Action.ShowCard": ["card"],
+        "Action.ToggleVisibility": ["targetElements"]
+    };
+
+    Object.entries(BUILT_IN_ELEMENTS).forEach(([type, definition]) =>
+        Renderer.registerElement(type, Object.assign({ properties: BUILT_IN_PROPERTIES[type] }, definition)));
+    Object.entries(BUILT_IN_ACTIONS).forEach(([type, handler]) =>
+        Renderer.registerAction(type, handler, BUILT_IN_ACTION_PROPERTIES[type]));
+
     window.AdaptiveCardRenderer = Renderer;
 })();
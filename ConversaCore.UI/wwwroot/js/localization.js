@@ -0,0 +1,204 @@
+// localization.js
+// String catalog shared by the card renderer and the chat UI. Ships English and Spanish;
+// hosts add languages (or override single strings) with ConversaLocalization.register.
+// Load before custom-adaptive-card-renderer.js and chat-interop.js.
+
+(function () {
+    // Avoid redeclaration if bundled twice
+    if (window.ConversaLocalization) return;
+
+    const DEFAULT_LOCALE = "en";
+
+    // Flat keys; "{name}" placeholders are filled from params. A { one, other } entry is picked
+    // with Intl.PluralRules on params.count.
+    const packs = {
+        en: {
+            "card.requiredBanner": "⚠ This form must be completed before continuing",
+            "action.submit": "Submit",
+            "submit.failed": "Your answers weren't sent. Check your connection and try again.",
+            "submit.retry": "Try again",
+
+            "info.label": "More information about {field}",
+            "info.thisField": "this field",
+
+            "tagSelect.customPlaceholder": "Or enter other...",
+            "tagSelect.showMore": "+{count} more",
+            "tagSelect.showLess": "Show less",
+            "tagSelect.searchPlaceholder": "Search options...",
+            "tagSelect.searchLabel": "Search options",
+            "tagSelect.noMatches": "No matching options",
+            "tagSelect.limitHint": "Choose up to {max}",
+
+            "combobox.results": { one: "1 result available", other: "{count} results available" },
+            "combobox.noMatches": "No matches",
+
+            "wizard.back": "Back",
+            "wizard.next": "Next",
+            "wizard.stepTitle": "Step {step}",
+            "wizard.status": "Step {step} of {total}",
+            "wizard.statusWithTitle": "Step {step} of {total}: {title}",
+
+            "repeat.add": "Add another",
+            "repeat.remove": "Remove",
+
+            "signature.placeholder": "Sign here",
+            "signature.padLabel": "Signature pad. Draw your signature, or type your name instead.",
+            "signature.nameLabel": "Type your full name",
+            "signature.undo": "Undo",
+            "signature.clear": "Clear",
+            "signature.typeInstead": "Type my name instead",
+            "signature.drawInstead": "Draw my signature",
+            "signature.reviewDrawn": "Signed on {date}",
+            "signature.reviewTyped": "Signed as {name} on {date}",
+
+            "validation.required": "This field is required",
+            "validation.invalid": "Please enter a valid value",
+            "validation.min": "Must be at least {min}",
+            "validation.max": "Must be at most {max}",
+            "validation.minDate": "Must be on or after {min}",
+            "validation.maxDate": "Must be on or before {max}",
+            "validation.maxLength": "Must be {max} characters or fewer",
+            "validation.chooseFromList": "Please choose an option from the list",
+            "validation.maxSelections": "Choose no more than {max}",
+            "validation.summary": { one: "1 field needs attention.", other: "{count} fields need attention." },
+
+            "review.submitted": "✓ Submitted",
+            "review.edit": "Edit",
+            "review.yes": "Yes",
+            "review.no": "No",
+
+            "chat.messageCopied": "Message copied to clipboard!",
+            "chat.consentRequested": "Please review the consent request"
+        },
+        es: {
+            "card.requiredBanner": "⚠ Complete este formulario antes de continuar",
+            "action.submit": "Enviar",
+            "submit.failed": "No se enviaron sus respuestas. Revise su conexión e inténtelo de nuevo.",
+            "submit.retry": "Reintentar",
+
+            "info.label": "Más información sobre {field}",
+            "info.thisField": "este campo",
+
+            "tagSelect.customPlaceholder": "O escriba otro...",
+            "tagSelect.showMore": "+{count} más",
+            "tagSelect.showLess": "Mostrar menos",
+            "tagSelect.searchPlaceholder": "Buscar opciones...",
+            "tagSelect.searchLabel": "Buscar opciones",
+            "tagSelect.noMatches": "No hay opciones que coincidan",
+            "tagSelect.limitHint": "Elija hasta {max}",
+
+            "combobox.results": { one: "1 resultado disponible", other: "{count} resultados disponibles" },
+            "combobox.noMatches": "Sin coincidencias",
+
+            "wizard.back": "Atrás",
+            "wizard.next": "Siguiente",
+            "wizard.stepTitle": "Paso {step}",
+            "wizard.status": "Paso {step} de {total}",
+            "wizard.statusWithTitle": "Paso {step} de {total}: {title}",
+
+            "repeat.add": "Agregar otro",
+            "repeat.remove": "Quitar",
+
+            "signature.placeholder": "Firme aquí",
+            "signature.padLabel": "Panel de firma. Dibuje su firma o escriba su nombre.",
+            "signature.nameLabel": "Escriba su nombre completo",
+            "signature.undo": "Deshacer",
+            "signature.clear": "Borrar",
+            "signature.typeInstead": "Escribir mi nombre",
+            "signature.drawInstead": "Dibujar mi firma",
+            "signature.reviewDrawn": "Firmado el {date}",
+            "signature.reviewTyped": "Firmado como {name} el {date}",
+
+            "validation.required": "Este campo es obligatorio",
+            "validation.invalid": "Introduzca un valor válido",
+            "validation.min": "Debe ser como mínimo {min}",
+            "validation.max": "Debe ser como máximo {max}",
+            "validation.minDate": "Debe ser el {min} o posterior",
+            "validation.maxDate": "Debe ser el {max} o anterior",
+            "validation.maxLength": "Debe tener {max} caracteres o menos",
+            "validation.chooseFromList": "Elija una opción de la lista",
+            "validation.maxSelections": "Elija como máximo {max}",
+            "validation.summary": { one: "1 campo requiere atención.", other: "{count} campos requieren atención." },
+
+            "review.submitted": "✓ Enviado",
+            "review.edit": "Editar",
+            "review.yes": "Sí",
+            "review.no": "No",
+
+            "chat.messageCopied": "¡Mensaje copiado al portapapeles!",
+            "chat.consentRequested": "Revise la solicitud de consentimiento"
+        }
+    };
+
+    // null ⇒ follow the page's <html lang>, then the browser
+    let currentLocale = null;
+
+    // Best shipped pack for a BCP 47 tag: exact ("es-mx"), then language ("es"), then English
+    function resolve(locale) {
+        const tag = String(locale || "").trim().toLowerCase().replace(/_/g, "-");
+        if (packs[tag]) return tag;
+        const language = tag.split("-")[0];
+        return packs[language] ? language : DEFAULT_LOCALE;
+    }
+
+    function pluralOf(entry, count, locale) {
+        let category = count === 1 ? "one" : "other";
+        try {
+            category = new Intl.PluralRules(locale).select(count);
+        } catch (err) {
+            // Unknown tag: keep the one/other guess
+        }
+        return entry[category] !== undefined ? entry[category] : entry.other;
+    }
+
+    function format(text, params) {
+        if (!params) return text;
+        return text.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : match);
+    }
+
+    const Localization = {
+        DEFAULT_LOCALE,
+
+        // Add or override strings for a locale ("es", "pt-BR", ...)
+        register(locale, strings) {
+            if (!locale || !strings || typeof strings !== "object") {
+                console.error("[Localization] register(locale, strings) needs a locale and a strings object");
+                return false;
+            }
+            const tag = String(locale).trim().toLowerCase().replace(/_/g, "-");
+            packs[tag] = Object.assign(packs[tag] || {}, strings);
+            return true;
+        },
+
+        // Active locale for cards rendered without their own (options.locale / card lang) and for the
+        // chat UI; null goes back to the page/browser language. Returns the locale now in effect.
+        setLocale(locale) {
+            currentLocale = locale ? String(locale).trim() || null : null;
+            return this.getLocale();
+        },
+
+        getLocale() {
+            return currentLocale || document.documentElement.lang || navigator.language || DEFAULT_LOCALE;
+        },
+
+        resolve,
+
+        // Look up key in locale (default: the active locale), falling back to English, then the key itself
+        t(key, params, locale) {
+            const tag = locale || this.getLocale();
+            const pack = packs[resolve(tag)];
+            let entry = pack[key] !== undefined ? pack[key] : packs[DEFAULT_LOCALE][key];
+            if (entry === undefined) {
+                console.warn(`[Localization] Missing string "${key}"`);
+                return key;
+            }
+            if (typeof entry === "object") {
+                entry = pluralOf(entry, Number(params && params.count), tag);
+            }
+            return format(String(entry), params);
+        }
+    };
+
+    window.ConversaLocalization = Localization;
+})();
@@ -5,6 +5,16 @@ public class AdaptiveCardModel {
     public string Version { get; set; } = "1.5";
     public string Schema { get; set; } = "http://adaptivecards.io/schemas/adaptive-card.json";
     public string? Style { get; set; }
+    public string? Lang { get; set; }   // UI language for built-in card text and date/number formats, e.g. "es"
     public List<CardElement> Body { get; set; } = new();
     public List<CardAction> Actions { get; set; } = new();
+    public CardRefresh? Refresh { get; set; }
+}
+
+/// <summary>
+/// Universal Actions refresh block: the renderer runs <see cref="Action"/> (an Action.Execute)
+/// when the card is displayed, and replaces the card with whatever the handler returns.
+/// </summary>
+public class CardRefresh {
+    public required CardAction Action { get; set; }
 }
@@ -6,4 +6,9 @@ public class CardAction {
     public string? Style { get; set; }
     public string? IconUrl { get; set; }
     public object? Data { get; set; }
+    public string? AssociatedInputs { get; set; }     // Action.Submit: "auto" (default) | "none" to skip inputs/validation
+    public AdaptiveCardModel? Card { get; set; }      // Action.ShowCard: inline card revealed under the actions
+    public List<object>? TargetElements { get; set; } // Action.ToggleVisibility: element ids or { elementId, isVisible }
+    public string? Verb { get; set; }                 // Action.Execute: routed to OnCardExecute with Data
+    public string? Url { get; set; }                  // Action.OpenUrl: must be same-origin or allowlisted
 }
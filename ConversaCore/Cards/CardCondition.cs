@@ -0,0 +1,26 @@
+using System.Text.Json.Serialization;
+
+namespace ConversaCore.Cards;
+
+/// <summary>
+/// Declarative visibility rule evaluated live by the renderer (CardElement.VisibleWhen).
+/// Either compare one input (<see cref="Id"/> plus one operator) or combine rules with And/Or/Not.
+/// Elements whose rule is false are hidden and their inputs are not submitted.
+/// </summary>
+public class CardCondition {
+    public string? Id { get; set; }
+
+    [JsonPropertyName("equals")]
+    public string? EqualTo { get; set; }
+
+    public string? NotEquals { get; set; }
+    public List<string>? In { get; set; }
+    public string? Contains { get; set; }          // multi-select ChoiceSet/TagSelect includes the value
+    public double? GreaterThan { get; set; }
+    public double? LessThan { get; set; }
+    public bool? IsEmpty { get; set; }
+
+    public List<CardCondition>? And { get; set; }
+    public List<CardCondition>? Or { get; set; }
+    public CardCondition? Not { get; set; }
+}
@@ -0,0 +1,11 @@
+namespace ConversaCore.Cards;
+
+/// <summary>
+/// Data.Query for a filtered ChoiceSet (CardElement.ChoicesData). The renderer sends the typed
+/// text for <see cref="Dataset"/> to AdaptiveCardRenderer.ChoicesProvider and lists the results.
+/// </summary>
+public class CardDataQuery {
+    public string Type { get; set; } = "Data.Query";
+    public required string Dataset { get; set; }
+    public int? Count { get; set; }                // Most results to show (renderer default 25)
+}
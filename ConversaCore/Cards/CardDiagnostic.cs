@@ -0,0 +1,14 @@
+namespace ConversaCore.Cards;
+
+/// <summary>
+/// One problem the browser renderer found while checking a card against the schema it supports
+/// (unsupported types, missing or duplicate ids, unknown properties, version). Reported through
+/// AdaptiveCardRenderer.OnDiagnostics.
+/// </summary>
+public class CardDiagnostic {
+    public string Severity { get; set; } = "warning";  // error (something is not rendered/submitted) | warning
+    public string Code { get; set; } = string.Empty;   // e.g. unsupported-type, missing-id, duplicate-id, unknown-property
+    public string Message { get; set; } = string.Empty;
+    public string Path { get; set; } = string.Empty;   // where in the card JSON, e.g. "body[2].items[0]"
+    public string? ElementId { get; set; }
+}
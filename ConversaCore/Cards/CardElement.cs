@@ -1,4 +1,5 @@
 ﻿using ConversaCore.Cards;
+using System.Text.Json.Serialization;
 
 public class CardElement {
     public required string Type { get; set; }
@@ -15,16 +16,66 @@ public class CardElement {
     public string? Value { get; set; }
     public string? Style { get; set; }
     public List<CardChoice>? Choices { get; set; }
+    [JsonPropertyName("choices.data")]
+    public CardDataQuery? ChoicesData { get; set; } // ChoiceSet (style "filtered"): look up choices as the user types
     public List<CardElement>? Items { get; set; }
     public List<CardElement>? Columns { get; set; }
     public bool Separator { get; set; } = false;
+    public bool? IsVisible { get; set; }            // false renders the element hidden (see Action.ToggleVisibility)
+    public CardCondition? VisibleWhen { get; set; } // shown only while the rule matches other inputs' values
+    public string? HelpText { get; set; }          // ⓘ help popover; short rich text: **bold**, _italic_, [label](url)
+    public string? Tooltip { get; set; }           // plain-text help, used when HelpText is not set
+
+    // 🆕 Layout support (Container / ColumnSet / Column)
+    public string? Spacing { get; set; }           // none | small | default | medium | large | extraLarge | padding
+    public string? Width { get; set; }             // Column: auto | stretch | weight ("2") | pixels ("80px")
+    public bool? Bleed { get; set; }               // Container/Column: extend background to card edges
+    public string? VerticalContentAlignment { get; set; } // top | center | bottom
+    public bool? IsPage { get; set; }              // top-level Container: render the card as a Back/Next wizard
+    public string? PageTitle { get; set; }         // step label shown in the wizard progress bar
+
+    // 🆕 Read-back support (FactSet / Table)
+    public List<CardFact>? Facts { get; set; }     // FactSet: title/value pairs
+    public List<CardElement>? Rows { get; set; }   // Table: TableRow elements
+    public List<CardElement>? Cells { get; set; }  // TableRow: TableCell elements (cells use Items)
+    public bool? FirstRowAsHeader { get; set; }    // Table: render first row as header (default true)
+    public bool? ShowGridLines { get; set; }       // Table: draw cell borders (default true)
 
     // 🆕 Added adaptive input support fields
+    public string? Label { get; set; }             // Visible label tied to the input (else the TextBlock above names it)
     public string? Placeholder { get; set; }       // For text input hints
     public bool? IsRequired { get; set; }          // For marking required fields
-    public string? Regex { get; set; }             // For validation hints (not evaluated client-side)
+    public string? Regex { get; set; }             // Input.Text: pattern checked client-side before submit
+    public int? MaxLength { get; set; }            // Input.Text: maximum number of characters
+    public bool? IsMultiline { get; set; }         // Input.Text: render a textarea
+    public string? Mask { get; set; }              // Input.Text: "#" digit, "A" letter, "*" either, e.g. "(###) ###-####"; submits unmasked
+    public string? Format { get; set; }            // Input.Number: currency | percent | decimal display (submits a plain number)
+    public string? Currency { get; set; }          // Input.Number: ISO currency code for Format = "currency" (default USD)
+    public int? Decimals { get; set; }             // Input.Number: fraction digits shown for formatted numbers
+    public string? Locale { get; set; }            // Input.Number: formatting locale, e.g. "de-DE" (default: the card's language)
+    public object? Min { get; set; }               // Input.Number: a double, e.g. 0; Input.Date: "yyyy-MM-dd" (checked client-side)
+    public object? Max { get; set; }               // Input.Number: a double, e.g. 5000000; Input.Date: "yyyy-MM-dd" (checked client-side)
+    public double? Step { get; set; }              // Input.Number: formatted numbers snap to this increment on blur
+
+    // 🆕 Input.RepeatGroup: Items is the per-row template; submits an array of row objects.
+    // Value pre-fills rows as that array's JSON, e.g. JsonSerializer.Serialize(rows)
+    public int? MinRows { get; set; }
+    public int? MaxRows { get; set; }
+    public string? RowTitle { get; set; }          // "{n}" is replaced with the row number, e.g. "Beneficiary {n}"
+    public string? AddButtonTitle { get; set; }
+    public string? RemoveButtonTitle { get; set; }
+    public string? ErrorMessage { get; set; }      // Shown when any client-side validation rule fails
+    public bool? IsSensitive { get; set; }         // PII: never saved in the browser's draft autosave
+    public bool? Autosave { get; set; }            // false: leave out of the draft autosave; Input.Signature is only saved with true
+
+    // 🆕 Input.Signature: submits a CardSignature; Value takes one back as JSON to show it again
+    public string? PenColor { get; set; }          // Ink color (CSS color, default near-black)
+    public bool? AllowTyped { get; set; }          // Offer "type my name" instead of drawing (default true)
     
     // 🆕 TagSelect specific properties
     public bool? AllowCustom { get; set; }         // For TagSelect: allow custom text input
     public string? CustomPlaceholder { get; set; } // For TagSelect: placeholder for custom input
+    public int? MaxSelections { get; set; }        // For TagSelect with IsMultiSelect: most chips that can be picked
+    public int? VisibleCount { get; set; }         // For TagSelect: chips shown before "+N more" (default 3)
+    public bool? IsSearchable { get; set; }        // For TagSelect: type-to-filter box (default: on past 8 choices)
 }
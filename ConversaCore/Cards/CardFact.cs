@@ -0,0 +1,6 @@
+namespace ConversaCore.Cards;
+
+public class CardFact {
+    public required string Title { get; set; }
+    public required string Value { get; set; }
+}
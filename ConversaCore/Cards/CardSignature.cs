@@ -0,0 +1,15 @@
+namespace ConversaCore.Cards;
+
+/// <summary>
+/// Value an Input.Signature submits: the signature as a PNG plus how and when it was made.
+/// Use it as the type of a card model property to keep the signature with the lead.
+/// </summary>
+public class CardSignature {
+    public string Method { get; set; } = "drawn";      // drawn | typed
+    public string? Name { get; set; }                  // typed: the name as entered
+    public string? DataUrl { get; set; }               // "data:image/png;base64,..." (null if the browser couldn't export it)
+    public List<List<double[]>>? Strokes { get; set; } // drawn: one [x, y, ms since the first stroke] per point, in canvas pixels
+    public int Width { get; set; }                     // canvas size the strokes and image use
+    public int Height { get; set; }
+    public DateTimeOffset? SignedAt { get; set; }
+}
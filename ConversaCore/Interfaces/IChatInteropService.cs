@@ -8,5 +8,6 @@ public interface IChatInteropService
 {
     Task InitializeChatUIAsync();
     Task ScrollToBottomAsync(ElementReference container);
+    Task<string?> SetLocaleAsync(string? locale);
     Task<Dictionary<string, object>> HandleAdaptiveCardSubmitAsync(string actionType, Dictionary<string, object> data);
 }
\ No newline at end of file
@@ -42,6 +42,19 @@ public abstract class AdaptiveCardActivity<TModel> : TopicFlowActivity, IAdaptiv
     // 🆕 NEW: marks whether this card is mandatory before user can continue
     public bool IsRequired { get; init; } = false;
 
+    /// <summary>
+    /// Ask the browser for a typed submit payload: numbers as numbers, toggles as booleans,
+    /// multi-selects as arrays, dates as ISO strings and empty fields as null. Off by default,
+    /// which keeps the Adaptive Cards string values ("a,b", "42", "true").
+    /// </summary>
+    public bool TypedPayload { get; init; } = false;
+
+    /// <summary>
+    /// After a valid submission, show the card as a read-only summary of the answers instead of
+    /// the disabled form, so the transcript can't be re-submitted.
+    /// </summary>
+    public bool ReviewAfterSubmit { get; init; } = false;
+
     // === Semantic Events ===
     public event EventHandler<CardJsonEventArgs>? CardJsonEmitted;
     public event EventHandler<CardJsonEventArgs>? CardJsonSending;
@@ -217,6 +230,8 @@ public abstract class AdaptiveCardActivity<TModel> : TopicFlowActivity, IAdaptiv
 
             try {
                 var successCardJson = AdaptiveCardValidationHelper.InjectSuccessState(cardJson, data);
+                if (ReviewAfterSubmit)
+                    successCardJson = AdaptiveCardValidationHelper.InjectReviewState(successCardJson, _logger);
 
                 CardJsonEmitted?.Invoke(this,
                     new CardJsonEventArgs(successCardJson, "✅ Validation successful", RenderMode.Replace, Id, null, IsRequired));
@@ -321,11 +336,11 @@ public abstract class AdaptiveCardActivity<TModel> : TopicFlowActivity, IAdaptiv
         => CardJsonRendered?.Invoke(this, e);
 
     /// <summary>
-    /// Returns the AdaptiveCard JSON with injected metadata (_metadata.activityId, _metadata.isRequired)
+    /// Returns the AdaptiveCard JSON with injected metadata (_metadata.activityId, _metadata.isRequired, _metadata.typedPayload)
     /// </summary>
     private string GetCardJsonWithMetadata() {
         var baseJson = GetCardJson(Context);
-        return AdaptiveCardValidationHelper.InjectMetadata(baseJson, Id, IsRequired, _logger);
+        return AdaptiveCardValidationHelper.InjectMetadata(baseJson, Id, IsRequired, _logger, TypedPayload);
     }
 
 }
@@ -18,6 +18,44 @@ public static class AdaptiveCardValidationHelper {
         return jsonAttribute?.Name?.ToLowerInvariant() ?? propertyName.ToLowerInvariant();
     }
 
+    /// <summary>
+    /// A submitted value as a card `value` string. Typed payloads (`_metadata.typedPayload`) send
+    /// multi-selects as JSON arrays; cards take them back comma-separated ("a,b").
+    /// </summary>
+    private static string ToCardValue(object? value) {
+        return value switch {
+            null => string.Empty,
+            JsonElement { ValueKind: JsonValueKind.Null } => string.Empty,
+            JsonElement { ValueKind: JsonValueKind.Array } array =>
+                string.Join(",", array.EnumerateArray().Select(item =>
+                    item.ValueKind == JsonValueKind.String ? item.GetString() : item.ToString())),
+            IEnumerable<string> items => string.Join(",", items),
+            _ => value.ToString() ?? string.Empty
+        };
+    }
+
+    // Where layout elements keep their children: Container/Column/TableCell "items", ColumnSet "columns",
+    // Table "rows", TableRow "cells"
+    private static readonly string[] ChildElementKeys = { "items", "columns", "rows", "cells" };
+
+    /// <summary>
+    /// Replaces each child list of a layout element with <paramref name="map"/>'s result. Inputs are left
+    /// alone: an Input.RepeatGroup's items are its row template, not inputs of their own.
+    /// </summary>
+    private static void MapChildElements(Dictionary<string, object> element, Func<List<Dictionary<string, object>>, List<object>> map) {
+        var type = element.TryGetValue("type", out var typeObj) ? typeObj?.ToString() : null;
+        if (type != null && type.StartsWith("Input.", StringComparison.Ordinal)) return;
+
+        foreach (var key in ChildElementKeys) {
+            if (!element.TryGetValue(key, out var value) || value is not JsonElement { ValueKind: JsonValueKind.Array } list)
+                continue;
+            if (list.EnumerateArray().Any(item => item.ValueKind != JsonValueKind.Object))
+                continue;
+            var children = JsonSerializer.Deserialize<List<Dictionary<string, object>>>(list.GetRawText());
+            if (children != null) element[key] = map(children);
+        }
+    }
+
     public static string InjectErrors(string originalCardJson, List<ValidationResult> results, Dictionary<string, object>? userInputData = null, Type? modelType = null) {
         if (results == null || results.Count == 0)
             return originalCardJson; // <-- don't touch on initial render
@@ -58,97 +96,113 @@ public static class AdaptiveCardValidationHelper {
             }
         }
 
-        var newBody = new List<object>();
-
-        foreach (var element in bodyElements) {
-            // Inject user input values before adding to newBody
-            if (element.TryGetValue("id", out var idObj)) {
-                var id = idObj?.ToString();
-                if (!string.IsNullOrEmpty(id) && userInputData != null && userInputData.ContainsKey(id)) {
-                    // Preserve user's input based on element type
-                    var inputType = element.TryGetValue("type", out var typeObj) ? typeObj?.ToString() : "";
-                    var userValue = userInputData[id];
+        // Inputs inside Containers, ColumnSets and Tables get the same treatment as top-level ones;
+        // their error messages go right after them in the same list
+        List<object> ApplyErrors(List<Dictionary<string, object>> elements) {
+            var newBody = new List<object>();
+
+            foreach (var element in elements) {
+                // Inject user input values before adding to newBody
+                if (element.TryGetValue("id", out var idObj)) {
+                    var id = idObj?.ToString();
+                    if (!string.IsNullOrEmpty(id) && userInputData != null && userInputData.ContainsKey(id)) {
+                        // Preserve user's input based on element type
+                        var inputType = element.TryGetValue("type", out var typeObj) ? typeObj?.ToString() : "";
+                        var userValue = userInputData[id];
                     
-                    switch (inputType) {
-                        case "Input.Text":
-                        case "Input.Number":
-                        case "Input.Date":
-                            element["value"] = userValue?.ToString() ?? "";
-                            break;
-                        case "Input.ChoiceSet":
-                            if (userValue != null) {
-                                element["value"] = userValue.ToString() ?? "";
-                            }
-                            break;
-                        case "Input.Toggle":
-                            if (userValue is bool boolValue) {
-                                element["value"] = boolValue;
-                            } else if (bool.TryParse(userValue?.ToString(), out var parsedBool)) {
-                                element["value"] = parsedBool;
-                            }
-                            break;
+                        switch (inputType) {
+                            case "Input.Text":
+                            case "Input.Number":
+                            case "Input.Date":
+                                element["value"] = ToCardValue(userValue);
+                                break;
+                            case "Input.ChoiceSet":
+                            case "Input.TagSelect":
+                                if (userValue != null) {
+                                    element["value"] = ToCardValue(userValue);
+                                }
+                                break;
+                            case "Input.Toggle":
+                                if (userValue is bool boolValue) {
+                                    element["value"] = boolValue;
+                                } else if (bool.TryParse(userValue?.ToString(), out var parsedBool)) {
+                                    element["value"] = parsedBool;
+                                }
+                                break;
+                            case "Input.RepeatGroup":
+                                // Rows go back as the submitted array of row objects
+                                if (userValue != null) {
+                                    element["value"] = userValue;
+                                }
+                                break;
+                        }
                     }
                 }
-            }
             
-            // First, clear any existing error styling from previous validation attempts
-            if (element.ContainsKey("style") && element["style"]?.ToString() == "error") {
-                element.Remove("style");
-            }
-            if (element.ContainsKey("errorStyle")) {
-                element.Remove("errorStyle");
-            }
+                // First, clear any existing error styling from previous validation attempts
+                if (element.ContainsKey("style") && element["style"]?.ToString() == "error") {
+                    element.Remove("style");
+                }
+                if (element.ContainsKey("errorStyle")) {
+                    element.Remove("errorStyle");
+                }
             
-            // Check for validation errors and apply styling BEFORE adding to body
-            bool hasErrors = false;
-            List<string>? fieldErrors = null;
-            string? errorId = null;
+                // Check for validation errors and apply styling BEFORE adding to body
+                bool hasErrors = false;
+                List<string>? fieldErrors = null;
+                string? errorId = null;
             
-            if (element.TryGetValue("id", out var errorIdObj)) {
-                errorId = errorIdObj?.ToString()?.ToLowerInvariant();
-                // Console.WriteLine($"[DEBUG] Checking card element ID: '{errorId}'");
-                if (!string.IsNullOrEmpty(errorId) && errors.ContainsKey(errorId)) {
-                    hasErrors = true;
-                    fieldErrors = errors[errorId].Where(e => e != null).ToList()!;
+                if (element.TryGetValue("id", out var errorIdObj)) {
+                    errorId = errorIdObj?.ToString()?.ToLowerInvariant();
+                    // Console.WriteLine($"[DEBUG] Checking card element ID: '{errorId}'");
+                    if (!string.IsNullOrEmpty(errorId) && errors.ContainsKey(errorId)) {
+                        hasErrors = true;
+                        fieldErrors = errors[errorId].Where(e => e != null).ToList()!;
                     
-                    // For ChoiceSet elements, we need to preserve the "expanded" style
-                    if (element.TryGetValue("type", out var typeObj) && 
-                        typeObj?.ToString() == "Input.ChoiceSet" &&
-                        element.TryGetValue("style", out var styleObj) && 
-                        styleObj?.ToString() == "expanded") {
-                        // Keep the "expanded" style and set an error CSS class instead
-                        element["errorStyle"] = "error"; // Custom property for CSS targeting
-                    } else {
-                        // For other elements, use the standard error style
-                        element["style"] = "error";
+                        // For ChoiceSet elements, we need to preserve the "expanded" style
+                        if (element.TryGetValue("type", out var typeObj) && 
+                            typeObj?.ToString() == "Input.ChoiceSet" &&
+                            element.TryGetValue("style", out var styleObj) && 
+                            styleObj?.ToString() == "expanded") {
+                            // Keep the "expanded" style and set an error CSS class instead
+                            element["errorStyle"] = "error"; // Custom property for CSS targeting
+                        } else {
+                            // For other elements, use the standard error style
+                            element["style"] = "error";
+                        }
                     }
                 }
-            }
             
-            // Always add element (now with preserved user input AND error styling)
-            newBody.Add(element);
-
-            // Attach error messages immediately after the input element
-            if (hasErrors && fieldErrors != null && !string.IsNullOrEmpty(errorId)) {
-                // add error messages below
-                foreach (var msg in fieldErrors) {
-                    newBody.Add(new Dictionary<string, object> {
-                        ["type"] = "TextBlock",
-                        ["text"] = $"⚠ {msg}",
-                        ["wrap"] = true,
-                        ["color"] = "Attention",
-                        ["size"] = "Small",
-                        ["spacing"] = "None",
-                        ["id"] = $"{errorId}_error",
-                        ["isSubtle"] = true
-                    });
-                }
+                // Always add element (now with preserved user input AND error styling), its nested inputs too
+                MapChildElements(element, ApplyErrors);
+                newBody.Add(element);
+
+                // Attach error messages immediately after the input element
+                if (hasErrors && fieldErrors != null && !string.IsNullOrEmpty(errorId)) {
+                    // add error messages below
+                    foreach (var msg in fieldErrors) {
+                        newBody.Add(new Dictionary<string, object> {
+                            ["type"] = "TextBlock",
+                            ["text"] = $"⚠ {msg}",
+                            ["wrap"] = true,
+                            ["color"] = "Attention",
+                            ["size"] = "Small",
+                            ["spacing"] = "None",
+                            ["id"] = $"{errorId}_error",
+                            ["isSubtle"] = true
+                        });
+                    }
 
-                // remove from errors so we can later detect leftovers
-                errors.Remove(errorId);
+                    // remove from errors so we can later detect leftovers
+                    errors.Remove(errorId);
+                }
             }
+
+            return newBody;
         }
 
+        var body = ApplyErrors(bodyElements);
+
         // If some errors could not be matched to a card element → throw hard error
         if (errors.Any()) {
             var unmatched = string.Join(", ",
@@ -158,7 +212,7 @@ public static class AdaptiveCardValidationHelper {
                 $"Make sure property names match card element ids (case-insensitive).");
         }
 
-        root["body"] = newBody;
+        root["body"] = body;
         return JsonSerializer.Serialize(root);
     }
 
@@ -179,92 +233,108 @@ public static class AdaptiveCardValidationHelper {
         if (bodyElements == null)
             return originalCardJson;
 
-        var newBody = new List<object>();
-
-        foreach (var element in bodyElements) {
-            // Skip any existing error messages (TextBlocks with Attention color)
-            if (element.TryGetValue("type", out var elementTypeObj) &&
-                elementTypeObj?.ToString() == "TextBlock" &&
-                element.TryGetValue("color", out var colorObj) && 
-                colorObj?.ToString() == "Attention") {
-                continue; // Skip error TextBlocks only
-            }
-
-            // Preserve user input and disable all input elements
-            if (element.TryGetValue("id", out var idObj)) {
-                var id = idObj?.ToString();
-                if (!string.IsNullOrEmpty(id)) {
-                    // Check if this element has user input data
-                    if (userInputData.ContainsKey(id)) {
-                        var inputType = element.TryGetValue("type", out var typeObj) ? typeObj?.ToString() : "";
-                        var userValue = userInputData[id];
-
-                        switch (inputType) {
-                            case "Input.Text":
-                            case "Input.Number":
-                            case "Input.Date":
-                            case "Input.TagSelect": // ✅ support tag/select inputs (custom)
-                                element["value"] = userValue?.ToString() ?? string.Empty;
-                                element["isEnabled"] = false; // disable standard text-like inputs
-                                break;
-
-                            case "Input.ChoiceSet":
-                                if (userValue != null)
-                                    element["value"] = userValue.ToString() ?? string.Empty;
-                                element["isEnabled"] = false; // disable choice set
-                                break;
-
-                            case "Input.Toggle":
-                                if (userValue is bool boolValue) {
-                                    element["value"] = boolValue;
-                                }
-                                else if (bool.TryParse(userValue?.ToString(), out var parsedBool)) {
-                                    element["value"] = parsedBool;
-                                }
-                                else {
-                                    // fallback to false for malformed values
-                                    element["value"] = false;
-                                }
-                                element["isEnabled"] = false; // disable toggle
-                                break;
+        // Nested inputs (Containers, ColumnSets, Tables) are filled in and disabled like top-level ones
+        List<object> LockElements(List<Dictionary<string, object>> elements) {
+            var newBody = new List<object>();
+
+            foreach (var element in elements) {
+                // Skip any existing error messages (TextBlocks with Attention color)
+                if (element.TryGetValue("type", out var elementTypeObj) &&
+                    elementTypeObj?.ToString() == "TextBlock" &&
+                    element.TryGetValue("color", out var colorObj) && 
+                    colorObj?.ToString() == "Attention") {
+                    continue; // Skip error TextBlocks only
+                }
 
-                            default:
-                                // 🔹 Unknown input types: preserve existing value if present, just disable them
-                                if (element.ContainsKey("value")) {
-                                    // Keep current value so card doesn’t blank out
-                                    element["isEnabled"] = false;
-                                }
-                                break;
+                // Preserve user input and disable all input elements
+                if (element.TryGetValue("id", out var idObj)) {
+                    var id = idObj?.ToString();
+                    if (!string.IsNullOrEmpty(id)) {
+                        // Check if this element has user input data
+                        if (userInputData.ContainsKey(id)) {
+                            var inputType = element.TryGetValue("type", out var typeObj) ? typeObj?.ToString() : "";
+                            var userValue = userInputData[id];
+
+                            switch (inputType) {
+                                case "Input.Text":
+                                case "Input.Number":
+                                case "Input.Date":
+                                case "Input.TagSelect": // ✅ support tag/select inputs (custom)
+                                case "Input.Signature": // submitted object → its JSON, which the renderer draws again
+                                    element["value"] = ToCardValue(userValue);
+                                    element["isEnabled"] = false; // disable standard text-like inputs
+                                    break;
+
+                                case "Input.ChoiceSet":
+                                    if (userValue != null)
+                                        element["value"] = ToCardValue(userValue);
+                                    element["isEnabled"] = false; // disable choice set
+                                    break;
+
+                                case "Input.Toggle":
+                                    if (userValue is bool boolValue) {
+                                        element["value"] = boolValue;
+                                    }
+                                    else if (bool.TryParse(userValue?.ToString(), out var parsedBool)) {
+                                        element["value"] = parsedBool;
+                                    }
+                                    else {
+                                        // fallback to false for malformed values
+                                        element["value"] = false;
+                                    }
+                                    element["isEnabled"] = false; // disable toggle
+                                    break;
+
+                                case "Input.RepeatGroup":
+                                    // Rows go back as the submitted array of row objects
+                                    if (userValue != null)
+                                        element["value"] = userValue;
+                                    element["isEnabled"] = false; // disables every row and Add/Remove
+                                    break;
+
+                                default:
+                                    // 🔹 Unknown input types: preserve existing value if present, just disable them
+                                    if (element.ContainsKey("value")) {
+                                        // Keep current value so card doesn’t blank out
+                                        element["isEnabled"] = false;
+                                    }
+                                    break;
+                            }
                         }
-                    }
-                    else {
-                        // Element not in user input data - handle toggles that were not selected
-                        var inputType = element.TryGetValue("type", out var typeObj) ? typeObj?.ToString() : "";
-                        if (inputType == "Input.Toggle") {
-                            // For unselected toggles, ensure they show as unchecked
-                            element["value"] = false;
-                            element["isEnabled"] = false;
-                        } else {
-                            // For other input types, just disable them with current value
-                            element["isEnabled"] = false;
+                        else {
+                            // Element not in user input data - handle toggles that were not selected
+                            var inputType = element.TryGetValue("type", out var typeObj) ? typeObj?.ToString() : "";
+                            if (inputType == "Input.Toggle") {
+                                // For unselected toggles, ensure they show as unchecked
+                                element["value"] = false;
+                                element["isEnabled"] = false;
+                            } else {
+                                // For other input types, just disable them with current value
+                                element["isEnabled"] = false;
+                            }
                         }
                     }
                 }
-            }
 
-            // Remove any error styling
-            if (element.ContainsKey("style") && element["style"]?.ToString() == "error") {
-                element.Remove("style");
-            }
+                // Remove any error styling
+                if (element.ContainsKey("style") && element["style"]?.ToString() == "error") {
+                    element.Remove("style");
+                }
             
-            // Remove errorStyle for choice sets (used to preserve expanded style while showing errors)
-            if (element.ContainsKey("errorStyle")) {
-                element.Remove("errorStyle");
+                // Remove errorStyle for choice sets (used to preserve expanded style while showing errors)
+                if (element.ContainsKey("errorStyle")) {
+                    element.Remove("errorStyle");
+                }
+
+                MapChildElements(element, LockElements);
+                newBody.Add(element);
             }
 
-            newBody.Add(element);
+            return newBody;
         }
 
+        var lockedBody = LockElements(bodyElements);
+
         // Update actions to show "Done" instead of "Submit"
         if (root.ContainsKey("actions")) {
             var actions = JsonSerializer.Deserialize<List<Dictionary<string, object>>>(
@@ -289,17 +359,54 @@ public static class AdaptiveCardValidationHelper {
             }
         }
 
-        root["body"] = newBody;
+        root["body"] = lockedBody;
         return JsonSerializer.Serialize(root);
     }
 
     /// <summary>
-    /// Injects a `_metadata` object with `activityId` and `isRequired` into an Adaptive Card JSON string.
+    /// Marks a card as reviewed (`_metadata.review`): the browser shows it as a read-only summary of the
+    /// answers instead of the form. Other `_metadata` entries are kept.
     /// </summary>
+    public static string InjectReviewState(string cardJson, ILogger? logger = null) {
+        try {
+            using var document = JsonDocument.Parse(cardJson);
+            var root = document.RootElement;
+
+            using var stream = new MemoryStream();
+            using (var writer = new Utf8JsonWriter(stream)) {
+                writer.WriteStartObject();
+
+                foreach (var property in root.EnumerateObject()) {
+                    if (property.NameEquals("_metadata")) continue;
+                    property.WriteTo(writer);
+                }
+
+                writer.WritePropertyName("_metadata");
+                writer.WriteStartObject();
+                if (root.TryGetProperty("_metadata", out var metadata) && metadata.ValueKind == JsonValueKind.Object) {
+                    foreach (var property in metadata.EnumerateObject()) {
+                        if (property.NameEquals("review")) continue;
+                        property.WriteTo(writer);
+                    }
+                }
+                writer.WriteBoolean("review", true);
+                writer.WriteEndObject();
+
+                writer.WriteEndObject();
+            }
+
+            return Encoding.UTF8.GetString(stream.ToArray());
+        } catch (Exception ex) {
+            logger?.LogError(ex, "Failed to inject review state into card JSON.");
+            return cardJson; // the plain success card still works
+        }
+    }
+
     /// <summary>
     /// Injects a `_metadata` object with `activityId` and `isRequired` into an Adaptive Card JSON string.
+    /// `typedPayload` (written only when true) makes the browser submit typed values instead of strings.
     /// </summary>
-    public static string InjectMetadata(string cardJson, string activityId, bool isRequired, ILogger? logger = null) {
+    public static string InjectMetadata(string cardJson, string activityId, bool isRequired, ILogger? logger = null, bool typedPayload = false) {
         try {
             using var document = JsonDocument.Parse(cardJson);
             var root = document.RootElement.Clone();
@@ -317,6 +424,8 @@ public static class AdaptiveCardValidationHelper {
                 writer.WriteStartObject();
                 writer.WriteString("activityId", activityId);
                 writer.WriteBoolean("isRequired", isRequired);
+                if (typedPayload)
+                    writer.WriteBoolean("typedPayload", true);
                 writer.WriteEndObject();
 
                 writer.WriteEndObject();
@@ -34,7 +34,10 @@ internal class Program {
         Console.WriteLine($"[{sw.ElapsedMilliseconds}ms] ⚙️ Building services...");
 
         builder.Services.AddRazorPages();
-        builder.Services.AddServerSideBlazor();
+        // Card submissions travel over the Blazor circuit; a drawn signature (PNG data URL + strokes)
+        // is well past SignalR's 32 KB default, which would drop the circuit on submit
+        builder.Services.AddServerSideBlazor()
+            .AddHubOptions(options => options.MaximumReceiveMessageSize = 1024 * 1024);
         builder.Services.AddControllers();
 
         
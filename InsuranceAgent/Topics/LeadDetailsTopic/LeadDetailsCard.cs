@@ -31,8 +31,9 @@ public class LeadDetailsCard
             new CardElement
             {
                 Type = "TextBlock",
-                Text = "🗣️ Preferred Language ⓘ",
-                Wrap = true
+                Text = "🗣️ Preferred Language",
+                Wrap = true,
+                HelpText = "The language the customer prefers for communication (e.g., English, Spanish, French)"
             },
             new CardElement
             {
@@ -55,8 +56,9 @@ public class LeadDetailsCard
             new CardElement
             {
                 Type = "TextBlock",
-                Text = "🌐 Lead Source ⓘ",
-                Wrap = true
+                Text = "🌐 Lead Source",
+                Wrap = true,
+                HelpText = "Where did this lead come from? Examples: Website form, Google Ads, Referral from friend, Social media, Phone call, Email campaign, Event/Conference"
             },
             new CardElement
             {
@@ -77,8 +79,9 @@ public class LeadDetailsCard
             new CardElement
             {
                 Type = "TextBlock",
-                Text = "📈 Interest Level ⓘ",
-                Wrap = true
+                Text = "📈 Interest Level",
+                Wrap = true,
+                HelpText = "How interested is the customer?\n**High** = ready to buy soon, **Medium** = shopping around, **Low** = just browsing/researching"
             },
             new CardElement
             {
@@ -97,8 +100,9 @@ public class LeadDetailsCard
             new CardElement
             {
                 Type = "TextBlock",
-                Text = "🎯 Lead Intent ⓘ",
-                Wrap = true
+                Text = "🎯 Lead Intent",
+                Wrap = true,
+                HelpText = "What is the customer trying to do?\n**Buy** = ready to purchase, **Compare** = shopping different options, **Learn** = gathering information, **Schedule** = wants to talk to agent"
             },
             new CardElement
             {